@@ -0,0 +1,109 @@
+/**
+ * 司機位置中繼伺服器 (開發用)
+ * 以 rideId 為頻道轉發 WebSocket 訊息，協定見 src/location/WebSocketLocationTransport.js。
+ * 訊息只送給訂閱同一頻道的連線，不會廣播給其他行程的乘客；頻道只接受
+ * `${rideId}`、`${rideId}:handshake`、`${rideId}:sealed`，每條連線最多訂閱 MAX_SUBSCRIPTIONS 個。
+ * 只轉發帶簽章的位置/握手與加密的上車點 (簽章由乘客端驗證)，其他內容直接丟棄。
+ * 只保留每個頻道的最後一筆訊息 (新訂閱者可立即取得)，不做持久化；
+ * 位置頻道只重送 LOCATION_REPLAY_MAX_AGE 內的位置，更舊的乘客端也會當作過時而丟棄。
+ *
+ *   npm run relay            預設監聽 8787
+ *   PORT=9000 npm run relay
+ */
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+const LAST_LOCATION_TTL = 10 * 60 * 1000; // 頻道閒置多久後丟棄最後位置 (ms)
+const HEARTBEAT_INTERVAL = 30000;
+const LOCATION_REPLAY_MAX_AGE = 60000; // 與乘客端 LocationVerifier 的 MAX_LOCATION_AGE 相同 (ms)
+const MAX_SUBSCRIPTIONS = 8; // 單一連線同時訂閱的頻道上限 (乘客/司機一趟行程只需 2 個)
+
+const CHANNEL_PATTERN = /^\d+(?::(handshake|sealed))?$/;
+
+const channels = new Map(); // rideId -> Set<socket>
+const lastLocations = new Map(); // rideId -> { location, receivedAt }
+
+const server = new WebSocketServer({ port: PORT });
+
+const isSigned = (payload) =>
+  typeof payload.signature === 'string' && !!payload.session && Number.isFinite(payload.timestamp);
+
+// 依頻道檢查訊息形狀：位置與握手必須帶 session 簽章，上車點必須是密文
+const isWellFormed = (kind, payload) => {
+  if (!payload || typeof payload !== 'object') return false;
+  if (kind === 'sealed') {
+    return ['driverKey', 'iv', 'ciphertext'].every(field => typeof payload[field] === 'string')
+      && Number.isFinite(payload.timestamp);
+  }
+  if (kind === 'handshake') return isSigned(payload) && typeof payload.publicKey === 'string';
+  return isSigned(payload) && Number.isFinite(payload.lat) && Number.isFinite(payload.lng);
+};
+
+const leave = (socket, rideId) => {
+  const sockets = channels.get(rideId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) channels.delete(rideId);
+};
+
+const handleMessage = (socket, message) => {
+  const rideId = String(message.rideId ?? '');
+  const match = CHANNEL_PATTERN.exec(rideId);
+  if (!match) return;
+
+  if (message.type === 'subscribe') {
+    if (!socket.rideIds.has(rideId) && socket.rideIds.size >= MAX_SUBSCRIPTIONS) {
+      console.warn(`拒絕訂閱 ${rideId}: 超過 ${MAX_SUBSCRIPTIONS} 個頻道`);
+      return;
+    }
+    if (!channels.has(rideId)) channels.set(rideId, new Set());
+    channels.get(rideId).add(socket);
+    socket.rideIds.add(rideId);
+    const last = lastLocations.get(rideId);
+    // 握手與密文沒有時效，位置則只重送仍然新鮮的
+    const fresh = last && (match[1] || Date.now() - last.receivedAt <= LOCATION_REPLAY_MAX_AGE);
+    if (fresh) socket.send(JSON.stringify({ type: 'location', rideId, location: last.location }));
+  } else if (message.type === 'unsubscribe') {
+    leave(socket, rideId);
+    socket.rideIds.delete(rideId);
+  } else if (message.type === 'publish' && isWellFormed(match[1], message.location)) {
+    lastLocations.set(rideId, { location: message.location, receivedAt: Date.now() });
+    const payload = JSON.stringify({ type: 'location', rideId, location: message.location });
+    channels.get(rideId)?.forEach(peer => {
+      if (peer !== socket && peer.readyState === peer.OPEN) peer.send(payload);
+    });
+  }
+};
+
+server.on('connection', (socket) => {
+  socket.rideIds = new Set();
+  socket.isAlive = true;
+  socket.on('pong', () => { socket.isAlive = true; });
+
+  socket.on('message', (data) => {
+    try {
+      handleMessage(socket, JSON.parse(data));
+    } catch (err) {
+      console.warn('忽略無效訊息:', err.message);
+    }
+  });
+
+  socket.on('close', () => {
+    socket.rideIds.forEach(rideId => leave(socket, rideId));
+  });
+});
+
+// 清除沒有回應的連線與過期的位置
+setInterval(() => {
+  server.clients.forEach(socket => {
+    if (!socket.isAlive) return socket.terminate();
+    socket.isAlive = false;
+    socket.ping();
+  });
+  const now = Date.now();
+  lastLocations.forEach(({ receivedAt }, rideId) => {
+    if (now - receivedAt > LAST_LOCATION_TTL) lastLocations.delete(rideId);
+  });
+}, HEARTBEAT_INTERVAL);
+
+console.log(`NTUber location relay listening on ws://localhost:${PORT}`);
@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+import { getEventLog } from './EventLog';
+
+/**
+ * Earnings - 司機收益統計
+ * 從共用的 EventLog (歷史查詢、即時訂閱與快取都由它處理) 取出該司機的
+ * RideAccepted / RideCompleted / RideCancelled。每筆接過的訂單記為一趟 (trip)：
+ *   { rideId, status: 'accepted' | 'completed' | 'cancelled', amount (ETH 字串),
+ *     acceptedAt, completedAt, cancelledAt (區塊時間，秒), cancelledBy: 'driver' | 'passenger' }
+ * 事件不帶時間，區塊時間由 EventLog 讀取並快取。
+ */
+
+export const CHART_DAYS = 14; // 每日收益圖的天數
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const startOfDay = (time) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+// 週一為一週的開始
+const startOfWeek = (time) => {
+  const date = new Date(startOfDay(time));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+};
+
+const startOfMonth = (time) => {
+  const date = new Date(startOfDay(time));
+  date.setDate(1);
+  return date.getTime();
+};
+
+const total = (trips) => ({
+  earnings: trips.reduce((sum, t) => sum + parseFloat(t.amount), 0),
+  trips: trips.length
+});
+
+/**
+ * 彙整收益 (now 為毫秒)：
+ *   today / week / month: { earnings (ETH), trips }
+ *   totalEarnings, totalTrips, averageFare, averageDuration (接單到完成的平均秒數，無資料為 null)
+ *   cancellations: { total, byDriver, byPassenger, rate (佔接單數的比例) }
+ *   daily: 最近 CHART_DAYS 天 [{ date (當天 0 點的毫秒), earnings, trips }]，由舊到新
+ * 完成時間未知 (舊帳本沒有區塊時間) 的訂單只計入總數，不計入各期間。
+ */
+export const summarizeEarnings = (trips, now = Date.now()) => {
+  const completed = trips.filter(t => t.status === 'completed');
+  const cancelled = trips.filter(t => t.status === 'cancelled');
+  const completedSince = (since) => completed.filter(t => t.completedAt !== null && t.completedAt * 1000 >= since);
+
+  const timed = completed.filter(t => t.acceptedAt !== null && t.completedAt !== null);
+  const all = total(completed);
+
+  const today = startOfDay(now);
+  const daily = [];
+  for (let i = CHART_DAYS - 1; i >= 0; i--) {
+    const date = new Date(today);
+    date.setDate(date.getDate() - i);
+    const from = date.getTime();
+    const to = from + DAY_MS;
+    daily.push({ date: from, ...total(completed.filter(t => t.completedAt !== null && t.completedAt * 1000 >= from && t.completedAt * 1000 < to)) });
+  }
+
+  const finished = completed.length + cancelled.length;
+  return {
+    today: total(completedSince(today)),
+    week: total(completedSince(startOfWeek(now))),
+    month: total(completedSince(startOfMonth(now))),
+    totalEarnings: all.earnings,
+    totalTrips: all.trips,
+    averageFare: all.trips > 0 ? all.earnings / all.trips : null,
+    averageDuration: timed.length > 0
+      ? timed.reduce((sum, t) => sum + (t.completedAt - t.acceptedAt), 0) / timed.length
+      : null,
+    cancellations: {
+      total: cancelled.length,
+      byDriver: cancelled.filter(t => t.cancelledBy === 'driver').length,
+      byPassenger: cancelled.filter(t => t.cancelledBy === 'passenger').length,
+      rate: finished > 0 ? cancelled.length / finished : null
+    },
+    daily
+  };
+};
+
+export class EarningsIndex {
+  constructor(backend, address) {
+    this.log = getEventLog(backend);
+    this.address = address;
+    this.trips = new Map(); // rideId -> trip
+    this.loaded = false; // 是否已補查到最新區塊
+    this.listeners = [];
+    this.unsubscribe = null;
+    this.queue = Promise.resolve(); // 事件依序套用 (讀取區塊時間為非同步)
+  }
+
+  // --- 訂閱機制 ---
+  // callback 收到 summarizeEarnings 的結果
+  subscribe(callback) {
+    this.listeners.push(callback);
+    if (this.loaded) callback(this.getSummary());
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const summary = this.getSummary();
+    this.listeners.forEach(cb => cb(summary));
+  }
+
+  getTrips() {
+    return [...this.trips.values()].sort((a, b) => b.rideId - a.rideId);
+  }
+
+  getSummary() {
+    return summarizeEarnings(this.getTrips());
+  }
+
+  // --- 生命週期 ---
+  async start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.log.subscribe(async events => {
+      const changed = await Promise.all(events.map(event => this.enqueue(event)));
+      if (changed.some(Boolean)) this.notify();
+    });
+    await this.log.start();
+    await this.queue;
+    this.log.save(); // 一併保存剛讀取的區塊時間
+    this.loaded = true;
+    this.notify();
+  }
+
+  stop() {
+    if (!this.unsubscribe) return;
+    this.unsubscribe();
+    this.unsubscribe = null;
+    this.log.stop();
+  }
+
+  // 回傳該事件套用後是否有變動
+  enqueue(event) {
+    const result = this.queue.then(() => this.apply(event));
+    this.queue = result.catch(err => console.error(`套用事件 ${event.name} 失敗:`, err));
+    return result.catch(() => false);
+  }
+
+  // --- 事件套用 (EventLog 已去重) ---
+  async apply(event) {
+    const rideId = Number(event.args[0]);
+    const trip = this.trips.get(rideId);
+
+    if (event.name === 'RideAccepted') {
+      if (!sameAddress(event.args[1], this.address)) return false;
+      const acceptedAt = await this.log.blockTime(event.blockNumber);
+      // 即時事件可能早於區間補查套用，已有後續狀態時只補上接單時間
+      this.trips.set(rideId, trip ? { ...trip, acceptedAt } : {
+        rideId,
+        status: 'accepted',
+        amount: null,
+        acceptedAt,
+        completedAt: null,
+        cancelledAt: null,
+        cancelledBy: null
+      });
+    } else if (event.name === 'RideCompleted') {
+      if (!sameAddress(event.args[1], this.address)) return false;
+      // 回溯範圍外接的單只有完成事件，接單時間未知
+      this.trips.set(rideId, {
+        rideId,
+        acceptedAt: null,
+        cancelledAt: null,
+        cancelledBy: null,
+        ...trip,
+        status: 'completed',
+        amount: ethers.formatEther(event.args[2]),
+        completedAt: await this.log.blockTime(event.blockNumber)
+      });
+    } else if (event.name === 'RideCancelled') {
+      // 只統計接單後才被取消的訂單
+      if (!trip) return false;
+      this.trips.set(rideId, {
+        ...trip,
+        status: 'cancelled',
+        cancelledAt: await this.log.blockTime(event.blockNumber),
+        cancelledBy: sameAddress(event.args[1], this.address) ? 'driver' : 'passenger'
+      });
+    } else {
+      return false;
+    }
+    return true;
+  }
+}
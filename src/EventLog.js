@@ -0,0 +1,189 @@
+import { createIdbStore } from './idbStore';
+
+/**
+ * EventLog - 合約事件的共用歷史紀錄
+ * 從合約部署區塊 (未知時回溯 lookback 個區塊) 分段查詢一次所有事件，之後訂閱即時事件並定期補查。
+ * 事件、已讀取的區塊時間與已查詢到的區塊高度存在 IndexedDB，重新整理後只需補查新的區塊。
+ *
+ * 評價 (Reputation)、司機收益 (Earnings) 與收據 (receipts) 都讀取同一份紀錄，
+ * 每個後端只有一個實例 (getEventLog)，所以同一段區塊只會查詢一次。
+ * start() / stop() 以使用者計數，最後一個使用者 stop() 時才取消訂閱與輪詢。
+ * 事件形狀同 RideBackend：{ name, args, blockNumber, transactionHash, logIndex }
+ */
+
+const store = createIdbStore('ntuber-events', 'logs');
+
+const DEFAULT_OPTIONS = {
+  blockRange: 5000, // 單次 queryEvents 的區塊數
+  lookback: 200000, // 不知道部署區塊時回溯的區塊數 (Sepolia 約一個月)
+  pollInterval: 60000 // 區間補查的間隔 (ms)
+};
+
+const eventKey = (event) => `${event.transactionHash}:${event.logIndex}`;
+
+const byBlock = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+export class EventLog {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.cacheKey = backend.cacheKey;
+    this.events = []; // 依區塊順序
+    this.seen = new Set(); // 已收錄的事件 `${transactionHash}:${logIndex}`
+    this.blockTimes = new Map(); // blockNumber -> 秒
+    this.startBlock = null; // 紀錄涵蓋的第一個區塊，更早的事件查不到
+    this.lastBlock = null; // 已查詢到的區塊高度
+    this.listeners = [];
+    this.progressListeners = new Set();
+    this.users = 0;
+    this.loading = null;
+    this.unsubscribe = null;
+    this.pollTimer = null;
+    this.syncing = null;
+  }
+
+  // --- 訂閱機制 ---
+  // listener 收到新收錄的事件陣列；訂閱時先收到目前已有的事件
+  subscribe(listener) {
+    this.listeners.push(listener);
+    if (this.events.length > 0) listener([...this.events]);
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== listener);
+    };
+  }
+
+  getEvents() {
+    return this.events;
+  }
+
+  // 收錄事件 (以 transactionHash + logIndex 去重)，回傳是否有新事件
+  add(events) {
+    const added = events.filter(event => {
+      const key = eventKey(event);
+      if (this.seen.has(key)) return false;
+      this.seen.add(key);
+      return true;
+    });
+    if (added.length === 0) return false;
+    this.events.push(...added);
+    // 即時事件可能早於區間補查收到
+    this.events.sort(byBlock);
+    this.listeners.forEach(cb => cb(added));
+    return true;
+  }
+
+  // 區塊時間 (秒)，讀取失敗或未知時回傳 null (失敗不快取，下次再讀)
+  async blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      try {
+        this.blockTimes.set(blockNumber, await this.backend.getBlockTimestamp(blockNumber));
+      } catch (err) {
+        console.error("讀取區塊時間失敗:", err);
+        return null;
+      }
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+
+  // --- 快取 ---
+  // 讀取快取並決定查詢起點，只執行一次 (失敗時下次再試)
+  ready() {
+    if (!this.loading) {
+      this.loading = this.load().catch(err => {
+        this.loading = null;
+        throw err;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    try {
+      const cached = await store.get(this.cacheKey);
+      if (cached) {
+        cached.blockTimes.forEach(([blockNumber, time]) => this.blockTimes.set(blockNumber, time));
+        this.startBlock = cached.startBlock;
+        this.lastBlock = cached.lastBlock;
+        this.add(cached.events);
+      }
+    } catch (err) {
+      console.error("讀取事件快取失敗:", err);
+    }
+
+    if (this.lastBlock === null) {
+      const deployBlock = this.backend.deployBlock;
+      this.startBlock = deployBlock ?? Math.max(0, await this.backend.getBlockNumber() - this.options.lookback);
+      this.lastBlock = this.startBlock - 1;
+    }
+  }
+
+  async save() {
+    if (this.lastBlock === null) return;
+    try {
+      await store.set(this.cacheKey, {
+        events: this.events,
+        blockTimes: [...this.blockTimes].filter(([, time]) => time !== null),
+        startBlock: this.startBlock,
+        lastBlock: this.lastBlock
+      });
+    } catch (err) {
+      console.error("寫入事件快取失敗:", err);
+    }
+  }
+
+  // --- 生命週期 ---
+  // 回傳補查到最新區塊後 resolve 的 Promise；onProgress(0~1) 回報這次補查的進度
+  async start({ onProgress } = {}) {
+    this.users += 1;
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.backend.subscribe(event => {
+        if (this.add([event])) this.save();
+      });
+      this.pollTimer = setInterval(() => this.sync(), this.options.pollInterval);
+    }
+    await this.sync({ onProgress });
+  }
+
+  stop() {
+    this.users = Math.max(0, this.users - 1);
+    if (this.users > 0 || !this.unsubscribe) return;
+    this.unsubscribe();
+    clearInterval(this.pollTimer);
+    this.unsubscribe = null;
+    this.pollTimer = null;
+  }
+
+  // 從 lastBlock 之後分段查詢，直到追上最新區塊；同時只有一次補查在執行
+  sync({ onProgress } = {}) {
+    if (!this.syncing) this.syncing = this.catchUp().finally(() => { this.syncing = null; });
+    if (!onProgress) return this.syncing;
+    this.progressListeners.add(onProgress);
+    return this.syncing.finally(() => this.progressListeners.delete(onProgress));
+  }
+
+  async catchUp() {
+    try {
+      await this.ready();
+      const latest = await this.backend.getBlockNumber();
+      const first = this.lastBlock + 1;
+      while (this.lastBlock < latest) {
+        const fromBlock = this.lastBlock + 1;
+        const toBlock = Math.min(latest, fromBlock + this.options.blockRange - 1);
+        this.add(await this.backend.queryEvents(fromBlock, toBlock));
+        this.lastBlock = toBlock;
+        this.progressListeners.forEach(cb => cb((toBlock - first + 1) / (latest - first + 1)));
+      }
+      await this.save();
+    } catch (err) {
+      console.error("事件補查失敗:", err);
+    }
+  }
+}
+
+// 每個後端共用一份紀錄
+const logs = new WeakMap();
+
+export const getEventLog = (backend) => {
+  if (!logs.has(backend)) logs.set(backend, new EventLog(backend));
+  return logs.get(backend);
+};
@@ -0,0 +1,92 @@
+import { createIdbStore } from './idbStore';
+
+/**
+ * LedgerSync - 讓 RideNetwork 帳本跨分頁共享並在重新整理後保留
+ *   - IndexedDB 保存最新的帳本快照 (單一真相來源)
+ *   - BroadcastChannel 把每筆交易的新快照推送到其他分頁，
+ *     其他分頁套用後以相同事件觸發 notify，訂閱者不需分辨事件來自哪個分頁
+ *   - 記錄已通知訂閱者的最後區塊：不論新快照是從廣播或 IndexedDB 讀到的，
+ *     其後的事件都會補送 (交易前讀取的新快照可能比廣播先到)
+ *   - Web Locks 讓多個分頁的交易依序執行：每筆交易先讀取最新快照再執行，
+ *     避免兩個分頁以過期狀態各自產生相同的訂單編號
+ */
+
+const DB_NAME = 'ntuber-ledger';
+const SNAPSHOT_KEY = 'snapshot';
+const CHANNEL_NAME = 'ntuber-ledger';
+const LOCK_NAME = 'ntuber-ledger-tx';
+
+// 不支援 Web Locks 的瀏覽器直接執行 (同分頁內仍是序列化的)
+const withLock = (callback) => (
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(LOCK_NAME, callback)
+    : callback()
+);
+
+export class LedgerSync {
+  constructor(network) {
+    this.network = network;
+    this.store = createIdbStore(DB_NAME, 'ledger');
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    this.notifiedBlock = null; // 已通知訂閱者的最後區塊，null 表示尚未載入 (啟動時的歷史不重播)
+
+    if (this.channel) {
+      this.channel.onmessage = ({ data }) => this.applyRemote(data);
+    }
+
+    this.ready = this.load();
+  }
+
+  async load() {
+    try {
+      const snapshot = await this.store.get(SNAPSHOT_KEY);
+      if (snapshot && snapshot.blockNumber > this.network.blockNumber) this.network.restore(snapshot);
+    } catch (err) {
+      console.error("讀取本地帳本失敗:", err);
+    }
+    this.catchUp();
+  }
+
+  // 其他分頁完成交易：套用較新的快照後補送事件給本分頁的訂閱者
+  applyRemote({ snapshot }) {
+    if (snapshot.blockNumber > this.network.blockNumber) this.network.restore(snapshot);
+    this.catchUp();
+  }
+
+  // 重播尚未通知訂閱者的事件 (其他分頁產生的區塊)
+  catchUp() {
+    if (this.notifiedBlock !== null) {
+      this.network.logs
+        .filter(log => log.blockNumber > this.notifiedBlock)
+        .forEach(log => this.network.notify(log));
+    }
+    this.notifiedBlock = this.network.blockNumber;
+  }
+
+  /**
+   * 在跨分頁鎖內執行一筆會修改帳本的操作，回傳 operation 的結果
+   * operation 丟出錯誤 (revert) 時不會寫入也不會廣播
+   */
+  async transact(operation) {
+    await this.ready;
+    return withLock(async () => {
+      await this.load();
+      const result = operation();
+      // 本分頁的交易由 RideNetwork 自行通知
+      this.notifiedBlock = this.network.blockNumber;
+      const snapshot = this.network.snapshot();
+
+      await this.store.set(SNAPSHOT_KEY, snapshot);
+      if (this.channel) this.channel.postMessage({ snapshot });
+      return result;
+    });
+  }
+}
+
+// 每個 RideNetwork 只掛一個同步器，避免重複建立 BroadcastChannel 導致事件重播兩次
+const syncs = new WeakMap();
+
+export const getLedgerSync = (network) => {
+  if (!syncs.has(network)) syncs.set(network, new LedgerSync(network));
+  return syncs.get(network);
+};
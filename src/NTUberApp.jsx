@@ -1,11 +1,10 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { ethers } from 'ethers'; // 標準 NPM 導入
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { isAddress, getAddress } from 'ethers';
 import L from 'leaflet';         // 標準 NPM 導入
 import 'leaflet/dist/leaflet.css'; // 直接導入 CSS
 import { 
   MapPin, 
   Navigation, 
-  Bike, 
   Star, 
   User, 
   Clock, 
@@ -17,8 +16,44 @@ import {
   List,
   Loader2, 
   XCircle,
-  History
+  History,
+  Zap,
+  TrendingUp,
+  TrendingDown,
+  Download,
+  Printer,
+  Receipt,
+  BarChart3,
+  X,
+  ExternalLink,
+  FastForward,
+  Ban,
+  AlertTriangle,
+  Info,
+  CheckCircle2,
+  LogOut,
+  Eye,
+  Search
 } from 'lucide-react';
+import { createRideBackend, ACTIVE_STATUSES } from './backends';
+import { RideIndexer } from './RideIndexer';
+import { RideHistory } from './RideHistory';
+import { ReputationIndex } from './Reputation';
+import { EarningsIndex } from './Earnings';
+import { TransactionManager, TransactionError, ACTION_LABELS } from './TransactionManager';
+import { decodeError } from './errors';
+import { discoverWallets, loadWalletChoice, saveWalletChoice } from './wallets';
+import { routingProviders, useRoute } from './routing';
+import { geocoder, autocompleteGeocoder, autocompleteMinLength, reverseGeocoder, useGeocodeSearch } from './geocoding';
+import { locationTransport, LOCATION_STALE_AFTER, createLocationSigner, LocationVerifier } from './location';
+import { sealRideLocations, revealRide, loadRideSecrets, saveRideSecret, forgetRideSecret, shareRideLocations, requestRideLocations } from './privacy';
+import { priceFeed, useEthRate, isRateStale, MANUAL_QUOTE, RATE_REFRESH_INTERVAL, RATE_STALE_AFTER, RATE_SOURCE_LABELS } from './priceFeed';
+import { estimateFareNTD, computeSurge, getDemandZones, SURGE_CAP } from './pricing';
+import { RIDE_TIERS, DEFAULT_TIER, getRideTier } from './rideTiers';
+import { appendTrackSample, estimateEta, PICKUP_ALERT_DISTANCE } from './eta';
+import { escapeHtml } from './html';
+import { collectRideTransactions, buildRideRecord, RECORD_TIME_LABELS, INCOMPLETE_EVENTS_NOTE, formatFareNtd, toCsv, toJson, toReceiptHtml, downloadFile, printReceipts } from './receipts';
+import { rankOpenRides, clusterPickups, formatDistance, RADIUS_OPTIONS, MIN_FARE_OPTIONS, DEFAULT_POOL_FILTER } from './orderPool';
 
 /**
  * NTUber DApp - Local Development Version (Fixed)
@@ -28,27 +63,9 @@ import {
  * 3. 仍可從「我的行程」中手動進行評價。
  */
 
-// --- 合約設定 ---
-const CONTRACT_ADDRESS = "0xa5a5d38a99dcd0863C62347337Bf90093A54eFeE";
-const SEPOLIA_CHAIN_ID = '0xaa36a7'; 
-const ETH_TO_NTD_RATE = 100000; // 匯率設定 (1 ETH = 100,000 NTD)
-
-const CONTRACT_ABI = [
-  "function requestRide(string memory _pickup, string memory _dropoff) public payable",
-  "function acceptRide(uint256 _rideId) public",
-  "function startRide(uint256 _rideId) public",
-  "function completeRide(uint256 _rideId) public",
-  "function cancelRide(uint256 _rideId) public", 
-  "function rateDriver(uint256 _rideId, uint8 _rating) public",
-  "function rideCount() public view returns (uint256)",
-  "function getRideDetails(uint256 _rideId) public view returns (tuple(uint256 id, address passenger, address driver, string pickupLocation, string dropoffLocation, uint256 amount, uint256 timestamp, uint8 status, bool isRated, uint8 rating))",
-  "event RideRequested(uint256 indexed rideId, address indexed passenger, uint256 amount, string pickup)",
-  "event RideAccepted(uint256 indexed rideId, address indexed driver)",
-  "event RideStarted(uint256 indexed rideId)",
-  "event RideCompleted(uint256 indexed rideId, address indexed driver, uint256 amount)",
-  "event RideCancelled(uint256 indexed rideId, address indexed triggerBy)", 
-  "event DriverRated(address indexed driver, uint8 rating)"
-];
+// 提示自動關閉的時間 (ms)；附帶建議動作的提示需手動關閉
+const TOAST_DURATION = { success: 4000, info: 4000, warning: 8000, error: 12000 };
+const POPUP_BLOCKED_TOAST = { severity: 'warning', title: '無法開啟列印視窗', message: '請允許彈出視窗以列印收據' };
 
 const NTUberApp = () => {
   // --- 狀態管理 ---
@@ -57,27 +74,55 @@ const NTUberApp = () => {
   const [balance, setBalance] = useState('0.00'); 
   const [appState, setAppState] = useState('IDLE'); 
   
-  const [provider, setProvider] = useState(null);
-  const [signer, setSigner] = useState(null);
-  const [contract, setContract] = useState(null);
+  // 叫車後端 (合約或本地模擬，由 VITE_RIDE_BACKEND 決定)
+  const [backend] = useState(() => createRideBackend());
+  const [txManager] = useState(() => new TransactionManager(backend));
+  const [transactions, setTransactions] = useState([]); // 交易匣：等待確認與尚未關閉的失敗交易
+  const [toasts, setToasts] = useState([]); // 提示訊息：{ id, severity, title, message, suggestion, action: { label, onClick } }
+
+  // 錢包 (合約後端才需要；EIP-6963 探索到的錢包，見 src/wallets)
+  const [wallets, setWallets] = useState([]);
+  const [connector, setConnector] = useState(null); // 目前使用的錢包，null 表示尚未選擇
+  const [walletPickerOpen, setWalletPickerOpen] = useState(false);
+
+  // 評價 (由 DriverRated / PassengerRated 事件彙整)：
+  // { drivers: { [小寫地址]: { count, average, recentAverage, trend } }, passengers: { ... } }
+  const [reputations, setReputations] = useState({ drivers: {}, passengers: {} });
 
   const [pickup, setPickup] = useState('');
   const [dropoff, setDropoff] = useState('');
   const [pickupCoords, setPickupCoords] = useState(null);
   const [dropoffCoords, setDropoffCoords] = useState(null);
   const [activeField, setActiveField] = useState(null);
-  const [estimatedPrice, setEstimatedPrice] = useState(0.001); 
   const [driverCoords, setDriverCoords] = useState(null); // 新增：司機位置狀態
+  const [driverLocationAt, setDriverLocationAt] = useState(null); // 最後一次收到/送出司機位置的時間 (ms)
+  const [driverTrack, setDriverTrack] = useState(null); // 最近的司機位置樣本 (估算速度與進度)
+  const [locationStatus, setLocationStatus] = useState(locationTransport.status);
+  const [locationAuthError, setLocationAuthError] = useState(null); // 司機端：錢包未授權位置簽章
+  const [locationAuthAttempt, setLocationAuthAttempt] = useState(0); // 重新要求授權時遞增
+  const [rejectedLocation, setRejectedLocation] = useState(null); // 乘客端：最近一次被拒絕的原因
+  const locationVerifiersRef = useRef(new Map()); // rideId -> LocationVerifier (保留各行程最後的時間戳記以防重放)
   const [userLocation, setUserLocation] = useState(null); // 新增：使用者位置
-  const [selectedRideType, setSelectedRideType] = useState('NTUber Bike');
+  const [selectedRideType, setSelectedRideType] = useState(DEFAULT_TIER);
   
   const [loading, setLoading] = useState(false);
   const [loadingMsg, setLoadingMsg] = useState(''); 
 
-  const [allRides, setAllRides] = useState([]); 
+  const [indexedRides, setIndexedRides] = useState([]); // 鏈上訂單 (只有約略位置)
+  const [ridesError, setRidesError] = useState(false); // 無法從節點讀取訂單 (例如 RPC 無法連線)
   const [myCurrentRide, setMyCurrentRide] = useState(null);
   const [previewRide, setPreviewRide] = useState(null); 
 
+  // 「我的行程」完整歷史 (分頁掃描 + IndexedDB 快取)
+  const [rideHistory, setRideHistory] = useState(null);
+  const [storedHistoryRides, setHistoryRides] = useState([]);
+  const [lookupAddress, setLookupAddress] = useState(''); // 查詢其他地址的公開行程，空字串表示自己的行程
+  const [lookupInput, setLookupInput] = useState('');
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [receipt, setReceipt] = useState(null); // 收據檢視：{ ride, record (讀取交易中為 null) }
+  const [exportProgress, setExportProgress] = useState(null); // 匯出進度 0~1，null 表示未在匯出
+  const [earnings, setEarnings] = useState(null); // 司機收益摘要 (見 summarizeEarnings)，null 表示讀取中
+
   // 新增：記錄跳過評價的訂單 ID (從 localStorage 初始化)
   const [skippedRideIds, setSkippedRideIds] = useState(() => {
     const saved = localStorage.getItem('ntuber_skipped_ratings');
@@ -89,101 +134,283 @@ const NTUberApp = () => {
     localStorage.setItem('ntuber_skipped_ratings', JSON.stringify(skippedRideIds));
   }, [skippedRideIds]);
 
-  // --- 輔助功能 ---
-  const parseLocation = (locString) => {
-    try {
-      return JSON.parse(locString);
-    } catch (e) {
-      return { name: locString, lat: 25.0174, lng: 121.5397 };
-    }
+  // 司機端評價乘客的紀錄：{ [rideId]: 'skipped' | 'rated' }
+  // (合約的 getRideDetails 不含乘客評價狀態，評價後也記在本地以免重複提示)
+  const [passengerRatingState, setPassengerRatingState] = useState(() => {
+    const saved = localStorage.getItem('ntuber_passenger_ratings');
+    return saved ? JSON.parse(saved) : {};
+  });
+
+  useEffect(() => {
+    localStorage.setItem('ntuber_passenger_ratings', JSON.stringify(passengerRatingState));
+  }, [passengerRatingState]);
+
+  const canRatePassenger = (ride) => (
+    ['Completed', 'Cancelled'].includes(ride.status) &&
+    !!ride.driver && ride.driver.toLowerCase() === walletAddress.toLowerCase() &&
+    !ride.isPassengerRated && passengerRatingState[ride.id] !== 'rated'
+  );
+
+  // 司機登記服務的車種 (以地址為 key 存在 localStorage)
+  const [driverTierMap, setDriverTierMap] = useState(() => {
+    const saved = localStorage.getItem('ntuber_driver_tiers');
+    return saved ? JSON.parse(saved) : {};
+  });
+  const driverTiers = useMemo(() => driverTierMap[walletAddress.toLowerCase()] || [DEFAULT_TIER], [driverTierMap, walletAddress]);
+
+  useEffect(() => {
+    localStorage.setItem('ntuber_driver_tiers', JSON.stringify(driverTierMap));
+  }, [driverTierMap]);
+
+  // 訂單池篩選條件 (最大接客半徑、最低車資)
+  const [poolFilter, setPoolFilter] = useState(() => {
+    const saved = localStorage.getItem('ntuber_pool_filter');
+    return saved ? { ...DEFAULT_POOL_FILTER, ...JSON.parse(saved) } : DEFAULT_POOL_FILTER;
+  });
+
+  useEffect(() => {
+    localStorage.setItem('ntuber_pool_filter', JSON.stringify(poolFilter));
+  }, [poolFilter]);
+
+  const toggleDriverTier = (tierId) => {
+    const next = driverTiers.includes(tierId)
+      ? driverTiers.filter(id => id !== tierId)
+      : [...driverTiers, tierId];
+    if (next.length === 0) return; // 至少服務一種車種
+    setDriverTierMap(prev => ({ ...prev, [walletAddress.toLowerCase()]: next }));
   };
 
+  // 本機保存的精確位置 (乘客自己發的單，或接單後由乘客加密傳來)，依錢包地址分開
+  const [rideSecrets, setRideSecrets] = useState({});
+
+  useEffect(() => {
+    setRideSecrets(loadRideSecrets(walletAddress));
+  }, [walletAddress]);
+
+  // 有精確位置的訂單以精確位置顯示，其餘 (例如訂單池) 維持約略位置
+  const allRides = useMemo(() => indexedRides.map(ride => revealRide(ride, rideSecrets)), [indexedRides, rideSecrets]);
+  const historyRides = useMemo(() => storedHistoryRides.map(ride => revealRide(ride, rideSecrets)), [storedHistoryRides, rideSecrets]);
+
+  // --- 輔助功能 ---
+  // ETH/NTD 匯率 (預言機 → HTTP → 手動，見 src/priceFeed)
+  const ethQuote = useEthRate(priceFeed, MANUAL_QUOTE, { refreshInterval: RATE_REFRESH_INTERVAL, maxAge: RATE_STALE_AFTER });
+  const ethRate = ethQuote.rate;
+
   // 匯率轉換 helper
   const toNTD = (ethValue) => {
     const val = parseFloat(ethValue);
-    return isNaN(val) ? '0' : Math.floor(val * ETH_TO_NTD_RATE).toLocaleString();
+    return isNaN(val) ? '0' : Math.floor(val * ethRate).toLocaleString();
   };
 
-  // 距離計算 helper (Haversine formula)
-  const getDistanceMeters = (lat1, lng1, lat2, lng2) => {
-    const R = 6371e3; // meters
-    const φ1 = lat1 * Math.PI/180;
-    const φ2 = lat2 * Math.PI/180;
-    const Δφ = (lat2-lat1) * Math.PI/180;
-    const Δλ = (lng2-lng1) * Math.PI/180;
-
-    const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-              Math.cos(φ1) * Math.cos(φ2) *
-              Math.sin(Δλ/2) * Math.sin(Δλ/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-    return R * c;
-  };
+  // 路徑規劃：乘客自己的起訖點 (各交通方式分別規劃，供各車種計價)，以及地圖上目前顯示的行程 (依其車種)
+  const bikeRoute = useRoute(routingProviders.bike, pickupCoords, dropoffCoords);
+  const carRoute = useRoute(routingProviders.car, pickupCoords, dropoffCoords);
+  const displayedRide = myCurrentRide || previewRide;
+  const mapRoute = useRoute(
+    routingProviders[getRideTier(displayedRide ? displayedRide.tier : selectedRideType).routing],
+    displayedRide?.pickupCoords || pickupCoords,
+    displayedRide?.dropoffCoords || dropoffCoords
+  );
 
-  // 自動計算價格
+  // 動態加成：依訂單池與時段每 30 秒重新評估
+  const [now, setNow] = useState(() => Date.now());
   useEffect(() => {
-    if (pickupCoords && dropoffCoords) {
-      const dist = getDistanceMeters(pickupCoords.lat, pickupCoords.lng, dropoffCoords.lat, dropoffCoords.lng);
-      let priceNTD = 0;
-      if (dist <= 500) priceNTD = 20;
-      else if (dist <= 1000) priceNTD = 30;
-      else priceNTD = 40 + Math.ceil((dist - 1000) / 100) * 5;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+  const surge = useMemo(() => computeSurge(allRides, new Date(now)), [allRides, now]);
+  const demandZones = useMemo(() => getDemandZones(allRides), [allRides]);
+
+  // 地點自動完成：只搜尋目前聚焦、且尚未選定座標的欄位；按 Enter 才查詢線上地理編碼
+  const placeQuery = role === 'passenger' && appState === 'IDLE'
+    ? (activeField === 'pickup' && !pickupCoords ? pickup : activeField === 'dropoff' && !dropoffCoords ? dropoff : null)
+    : null;
+  const placeSearch = useGeocodeSearch(autocompleteGeocoder, placeQuery, { searchGeocoder: geocoder, minLength: autocompleteMinLength });
+  const placeSuggestions = placeSearch.places;
+
+  // 各車種車資 (依實際路線距離與時間與車種費率，乘上動態加成)：{ ntd, eth }
+  // 車資以新台幣計，ETH 金額隨目前匯率換算 (保留5位小數)；該車種的路線尚未規劃完成時沒有對應的項目
+  const tierPrices = useMemo(() => {
+    const routes = { bike: bikeRoute, car: carRoute };
+    return Object.fromEntries(RIDE_TIERS.filter(tier => routes[tier.routing]).map(tier => {
+      const priceNTD = Math.ceil(estimateFareNTD(routes[tier.routing], tier.fareCurve) * surge.multiplier);
+      return [tier.id, { ntd: priceNTD, eth: (priceNTD / ethRate).toFixed(5) }];
+    }));
+  }, [bikeRoute, carRoute, surge.multiplier, ethRate]);
+
+  // --- 真實位置同步邏輯 (WebSocket 中繼，或 localStorage 跨分頁，見 src/location) ---
+  useEffect(() => locationTransport.onStatus(setLocationStatus), []);
 
-      // 轉換為 ETH (保留5位小數)
-      setEstimatedPrice((priceNTD / ETH_TO_NTD_RATE).toFixed(5));
-    }
-  }, [pickupCoords, dropoffCoords]);
-
-  // --- 真實位置同步邏輯 (LocalStorage 用於跨分頁通訊) ---
   useEffect(() => {
     // 若無進行中行程，清除司機位置
     if (!myCurrentRide || !['Accepted', 'Ongoing'].includes(myCurrentRide.status)) {
       setDriverCoords(null);
+      setDriverLocationAt(null);
+      setDriverTrack(null);
+      setRejectedLocation(null);
       return;
     }
 
     const rideId = myCurrentRide.id;
-    const storageKey = `ntuber_driver_location_${rideId}`;
 
     if (role === 'driver') {
-      // --- 司機端：獲取 GPS 並廣播 ---
+      // --- 司機端：以錢包授權 session key，獲取 GPS 並簽章廣播 ---
       if (!navigator.geolocation) return;
 
-      const geoId = navigator.geolocation.watchPosition(
-        (position) => {
-          const coords = { 
-            lat: position.coords.latitude, 
-            lng: position.coords.longitude 
-          };
-          setDriverCoords(coords); // 更新本地顯示
-          localStorage.setItem(storageKey, JSON.stringify(coords)); // 廣播給乘客
-        },
-        (err) => console.error("位置獲取失敗:", err),
-        { enableHighAccuracy: true, maximumAge: 0 }
-      );
+      let cancelled = false;
+      let geoId = null;
+      createLocationSigner(backend, rideId)
+        .then((signer) => {
+          if (cancelled) return;
+          setLocationAuthError(null);
+          geoId = navigator.geolocation.watchPosition(
+            (position) => {
+              const update = { 
+                lat: position.coords.latitude, 
+                lng: position.coords.longitude,
+                timestamp: Date.now()
+              };
+              setDriverCoords({ lat: update.lat, lng: update.lng }); // 更新本地顯示
+              setDriverLocationAt(update.timestamp);
+              setDriverTrack(track => appendTrackSample(track, update));
+              locationTransport.publish(rideId, signer.sign(update)); // 廣播給乘客
+            },
+            (err) => console.error("位置獲取失敗:", err),
+            { enableHighAccuracy: true, maximumAge: 0 }
+          );
+        })
+        .catch((err) => {
+          console.error("位置授權失敗:", err);
+          if (!cancelled) setLocationAuthError(err.code === "ACTION_REJECTED" ? '您拒絕了位置簽章授權' : '位置簽章授權失敗');
+        });
 
-      return () => navigator.geolocation.clearWatch(geoId);
+      return () => {
+        cancelled = true;
+        if (geoId !== null) navigator.geolocation.clearWatch(geoId);
+      };
 
     } else {
-      // --- 乘客端：監聽位置更新 ---
-      const syncLocation = () => {
-        const stored = localStorage.getItem(storageKey);
-        if (stored) {
-          try {
-            setDriverCoords(JSON.parse(stored));
-          } catch (e) { console.error(e); }
+      // --- 乘客端：接收位置推播，只接受本行程司機簽章的更新 ---
+      const verifiers = locationVerifiersRef.current;
+      if (!verifiers.has(rideId)) verifiers.set(rideId, new LocationVerifier(backend.cacheKey, rideId, myCurrentRide.driver));
+      const verifier = verifiers.get(rideId);
+
+      return locationTransport.subscribe(rideId, (update) => {
+        const result = verifier.verify(update);
+        // 過時或重複的位置 (例如訂閱時重送的最後一筆) 直接略過，只有簽章問題才提示可疑位置
+        if (result.stale) return;
+        if (!result.ok) {
+          console.warn(`拒絕司機位置 (行程 #${rideId}):`, result.reason);
+          setRejectedLocation(result.reason);
+          return;
         }
-      };
+        setRejectedLocation(null);
+        setDriverCoords({ lat: update.lat, lng: update.lng });
+        setDriverLocationAt(update.timestamp);
+        setDriverTrack(track => appendTrackSample(track, { lat: update.lat, lng: update.lng, timestamp: update.timestamp }));
+      });
+    }
+  }, [myCurrentRide, role, backend, locationAuthAttempt]);
 
-      syncLocation(); // 初始讀取
-      const intervalId = setInterval(syncLocation, 1000); // 輪詢
-      return () => clearInterval(intervalId);
+  // --- 接單後交換精確位置 (見 src/privacy) ---
+  useEffect(() => {
+    if (!myCurrentRide?.privacyKey || !['Accepted', 'Ongoing'].includes(myCurrentRide.status)) return;
+    const { id: rideId, privacyKey } = myCurrentRide;
+    const scope = backend.cacheKey;
+
+    if (role === 'passenger') {
+      // 乘客端：把本機的精確位置加密給接單司機 (其他裝置發的單沒有私鑰，無法提供)
+      const secret = rideSecrets[privacyKey];
+      if (!secret?.privateKey) return;
+      return shareRideLocations(locationTransport, {
+        scope,
+        rideId,
+        driver: myCurrentRide.driver,
+        privateKey: secret.privateKey,
+        locations: { pickup: secret.pickup, dropoff: secret.dropoff }
+      });
     }
-  }, [myCurrentRide, role]);
+
+    // 司機端：以位置 session key 交換金鑰，解密後保存在本機
+    if (rideSecrets[privacyKey]) return;
+    let cancelled = false;
+    let unsubscribe = null;
+    createLocationSigner(backend, rideId)
+      .then((signer) => {
+        if (cancelled) return;
+        unsubscribe = requestRideLocations(locationTransport, signer, { scope, rideId, passengerKey: privacyKey }, (locations) => {
+          setRideSecrets(saveRideSecret(walletAddress, privacyKey, locations));
+        });
+      })
+      .catch((err) => console.error("無法交換上車點金鑰:", err));
+
+    return () => {
+      cancelled = true;
+      if (unsubscribe) unsubscribe();
+    };
+  }, [myCurrentRide, role, backend, rideSecrets, walletAddress, locationAuthAttempt]);
+
+  // 到達時間：前往上車點 (DRIVER_EN_ROUTE) 或前往目的地 (IN_TRIP)
+  const eta = useMemo(() => {
+    if (!driverCoords || !myCurrentRide?.pickupCoords || !myCurrentRide?.dropoffCoords) return null;
+    if (appState === 'DRIVER_EN_ROUTE') {
+      return estimateEta({ position: driverCoords, target: myCurrentRide.pickupCoords, track: driverTrack });
+    }
+    if (appState === 'IN_TRIP') {
+      return estimateEta({
+        position: driverCoords,
+        target: myCurrentRide.dropoffCoords,
+        track: driverTrack,
+        geometry: mapRoute?.geometry,
+        totalDistance: mapRoute?.distance
+      });
+    }
+    return null;
+  }, [driverCoords, driverTrack, myCurrentRide, appState, mapRoute]);
+
+  // 乘客端：司機接近上車點時提醒 (每筆行程一次)
+  const driverNearby = role === 'passenger' && appState === 'DRIVER_EN_ROUTE' && !!eta && eta.directDistance <= PICKUP_ALERT_DISTANCE;
+  const alertedRideIdsRef = useRef(new Set());
+  useEffect(() => {
+    if (!driverNearby || !myCurrentRide || alertedRideIdsRef.current.has(myCurrentRide.id)) return;
+    alertedRideIdsRef.current.add(myCurrentRide.id);
+    navigator.vibrate?.([200, 100, 200]);
+    if ('Notification' in window && Notification.permission === 'granted') {
+      new Notification('司機即將抵達', { body: `司機距離上車點不到 ${PICKUP_ALERT_DISTANCE} 公尺，請準備上車` });
+    }
+  }, [driverNearby, myCurrentRide]);
+
+  // 每 5 秒重新評估司機位置是否過時
+  const [locationClock, setLocationClock] = useState(() => Date.now());
+  useEffect(() => {
+    if (!driverLocationAt) return;
+    const timer = setInterval(() => setLocationClock(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, [driverLocationAt]);
+  const driverLocationAge = driverLocationAt ? Math.max(0, Math.max(locationClock, driverLocationAt) - driverLocationAt) : null;
+
+  // 司機在訂單池時持續更新自己的位置 (訂單依上車點距離排序)
+  const browsingPool = role === 'driver' && !myCurrentRide;
+  useEffect(() => {
+    if (!browsingPool || !navigator.geolocation) return;
+    const geoId = navigator.geolocation.watchPosition(
+      (position) => setUserLocation({ lat: position.coords.latitude, lng: position.coords.longitude }),
+      (err) => console.error("位置獲取失敗:", err),
+      { maximumAge: 30000 }
+    );
+    return () => navigator.geolocation.clearWatch(geoId);
+  }, [browsingPool]);
+
+  // 訂單池：只顯示司機登記服務的車種，依篩選條件與上車點距離排序
+  const openRides = useMemo(() => rankOpenRides(
+    allRides.filter(r => r.status === 'Created' && driverTiers.includes(r.tier || DEFAULT_TIER)),
+    { origin: userLocation, rate: ethRate, ...poolFilter }
+  ), [allRides, driverTiers, userLocation, poolFilter, ethRate]);
+  const poolClusters = useMemo(() => clusterPickups(openRides), [openRides]);
 
   // --- 定位功能 ---
   const handleLocateMe = () => {
-    if (!navigator.geolocation) return alert("您的瀏覽器不支援地理定位");
+    if (!navigator.geolocation) return showToast({ severity: 'error', title: '無法定位', message: '您的瀏覽器不支援地理定位' });
     
     navigator.geolocation.getCurrentPosition(
       (position) => {
@@ -194,109 +421,268 @@ const NTUberApp = () => {
     );
   };
 
-  const statusMap = ['Created', 'Accepted', 'Ongoing', 'Completed', 'Cancelled'];
-
-  const switchNetwork = async () => {
-    if (!window.ethereum) return;
-    try {
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-      if (chainId !== SEPOLIA_CHAIN_ID) {
-        await window.ethereum.request({
-          method: 'wallet_switchEthereumChain',
-          params: [{ chainId: SEPOLIA_CHAIN_ID }],
-        });
+  // --- 提示訊息 ---
+  // 以 useCallback 保持穩定，可在初始化等 effect 中使用
+  const dismissToast = useCallback((id) => setToasts(prev => prev.filter(toast => toast.id !== id)), []);
+
+  const showToast = useCallback((toast) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    setToasts(prev => [...prev.slice(-3), { ...toast, id }]); // 最多同時顯示 4 則
+    if (!toast.action) setTimeout(() => dismissToast(id), TOAST_DURATION[toast.severity]);
+  }, [dismissToast]);
+
+  // 解碼錯誤 (見 src/errors.js) 並顯示提示；retry 為重試函數，建議動作為重試或切換網路時提供按鈕
+  const notifyError = useCallback((err, title, retry = null) => {
+    console.error(title, err);
+    const decoded = decodeError(err);
+    const actions = {
+      retry: retry && { label: '重試', onClick: retry },
+      switchNetwork: {
+        label: '切換網路',
+        onClick: async () => {
+          try {
+            await backend.switchNetwork();
+            retry?.();
+          } catch (switchErr) {
+            notifyError(switchErr, '切換網路失敗');
+          }
+        }
+      },
+      reload: { label: '重新整理', onClick: () => window.location.reload() }
+    };
+    showToast({
+      severity: decoded.severity,
+      // 使用者自己取消的操作不算失敗
+      title: decoded.severity === 'info' ? decoded.title : title,
+      message: decoded.message,
+      suggestion: decoded.suggestion,
+      action: (decoded.action && actions[decoded.action]) || null
+    });
+  }, [backend, showToast]);
+
+  // --- 錢包探索 ---
+  // 只自動連上次選擇的錢包；其他情況維持唯讀模式，等使用者叫車、接單等需要簽署時才開啟錢包選單
+  useEffect(() => {
+    if (!backend.needsWallet) return;
+    return discoverWallets((found) => {
+      setWallets(found);
+      const saved = found.find(wallet => wallet.id === loadWalletChoice());
+      if (saved) setConnector(current => current ?? saved);
+    });
+  }, [backend]);
+
+  // --- 初始化 (選擇的錢包改變時重新連線；尚未選擇錢包時唯讀) ---
+  useEffect(() => {
+    const readOnly = backend.needsWallet && !connector;
+    backend.setConnector(connector);
+    setRidesError(false);
+
+    let cancelled = false;
+    let unsubscribe = null;
+    let unsubscribeWallet = null;
+    let address = null;
+    // 訂單由索引器依事件增量更新，不再每個事件都重抓
+    const indexer = new RideIndexer(backend);
+    const unsubscribeRides = indexer.subscribe(rides => {
+      if (!cancelled) setIndexedRides(rides);
+    });
+    const reputationIndex = new ReputationIndex(backend);
+    const unsubscribeReputation = reputationIndex.subscribe(all => {
+      if (!cancelled) setReputations(all);
+    });
+
+    const refreshBalance = async () => {
+      if (!address) return;
+      try {
+        const balance = await backend.getBalance(address);
+        if (!cancelled) setBalance(balance);
+      } catch (err) {
+        console.error("讀取餘額失敗:", err);
       }
-    } catch (error) {
-      console.error("Failed to switch network:", error);
-      alert("請務必切換至 Sepolia 測試網！");
-    }
-  };
+    };
 
-  // --- 初始化 ---
-  useEffect(() => {
-    const initWeb3 = async () => {
-      if (window.ethereum) {
-        try {
-          await switchNetwork();
-
-          const _provider = new ethers.BrowserProvider(window.ethereum);
-          const _signer = await _provider.getSigner();
-          const _address = await _signer.getAddress();
-          const _balance = await _provider.getBalance(_address);
-          
-          setProvider(_provider);
-          setSigner(_signer);
-          setWalletAddress(_address);
-          setBalance(parseFloat(ethers.formatEther(_balance)).toFixed(4));
+    // 換了身分：清掉上一個帳號的行程畫面，由訂單狀態重新推導目前行程與角色
+    const switchAccount = (next) => {
+      address = next;
+      setWalletAddress(next || '');
+      setBalance('0.00');
+      setRole('passenger');
+      setIndexedRides(rides => (next ? rides : []));
+      setAppState('IDLE');
+      setMyCurrentRide(null);
+      setPreviewRide(null);
+      setReceipt(null);
+      setEarnings(null);
+      setDriverCoords(null);
+      setDriverTrack(null);
+      setDriverLocationAt(null);
+      setRejectedLocation(null);
+      setLocationAuthError(null);
+    };
 
-          const _contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, _signer);
-          setContract(_contract);
+    const handleWalletEvent = (event) => {
+      if (cancelled) return;
+      if (event.type === 'chainChanged') {
+        // 合約地址、快取與交易都跟著鏈走，直接重新整理
+        window.location.reload();
+      } else if (event.type === 'accountsChanged' && event.address) {
+        if (event.address !== address) {
+          switchAccount(event.address);
+          refreshBalance();
+          showToast({ severity: 'info', title: '已切換帳號', message: `${event.address.substring(0, 6)}...${event.address.slice(-4)}` });
+        }
+      } else {
+        // 使用者在錢包中移除了本網站的權限，或錢包已斷線
+        switchAccount(null);
+        setConnector(null);
+        setWalletPickerOpen(true);
+        showToast({ severity: 'warning', title: '錢包已中斷連線', message: '請重新選擇錢包以繼續使用' });
+      }
+    };
 
-          fetchRides(_contract);
-          setupEventListeners(_contract, _address);
+    const connectWallet = async () => {
+      if (!backend.isAvailable()) {
+        showToast({ severity: 'error', title: '未檢測到錢包', message: '請安裝 MetaMask 等瀏覽器錢包以使用此 DApp', suggestion: '安裝後重新整理頁面' });
+        return false;
+      }
+      try {
+        const account = await backend.connect();
+        if (cancelled) return false;
 
-          window.ethereum.on('chainChanged', () => {
-            window.location.reload();
-          });
+        // 換錢包時也會經過這裡，先清掉上一個身分的狀態
+        switchAccount(account.address);
+        setBalance(account.balance);
+        unsubscribeWallet = backend.onWalletEvent(handleWalletEvent);
 
-        } catch (err) {
-          console.error("連接錢包失敗:", err);
-          alert("請連接 Metamask 以使用此 DApp");
+        // 事件可能伴隨資金移動 (託管、撥款、退款)，一併更新餘額
+        unsubscribe = backend.subscribe(() => refreshBalance());
+        return true;
+      } catch (err) {
+        if (cancelled) return false;
+        // 連線失敗時回到唯讀模式，讓使用者重試或改選其他錢包
+        if (backend.needsWallet) {
+          notifyError(err, '無法連接錢包', () => setWalletPickerOpen(true));
+          setConnector(null);
+        } else {
+          notifyError(err, '無法連接錢包', () => window.location.reload());
         }
-      } else {
-        alert("未檢測到錢包！請安裝 Metamask。");
+        return false;
       }
     };
 
-    initWeb3();
-    
-    return () => {
-      if (contract) contract.removeAllListeners();
+    const connectReadOnly = async () => {
+      try {
+        await backend.connectReadOnly();
+        return !cancelled;
+      } catch (err) {
+        if (!cancelled) notifyError(err, '無法連線到區塊鏈節點', () => window.location.reload());
+        return false;
+      }
     };
-  }, []); 
 
-  // --- 數據與事件 ---
-  const fetchRides = async (_contract) => {
-    try {
-      const countBigInt = await _contract.rideCount();
-      const count = Number(countBigInt);
-      const rides = [];
-      const start = count > 20 ? count - 20 : 1;
-      
-      for (let i = count; i >= start; i--) {
-        const ride = await _contract.getRideDetails(i);
-        const pickupData = parseLocation(ride.pickupLocation);
-        const dropoffData = parseLocation(ride.dropoffLocation);
-        
-        rides.push({
-          id: Number(ride.id),
-          passenger: ride.passenger,
-          driver: ride.driver === ethers.ZeroAddress ? null : ride.driver,
-          amount: ethers.formatEther(ride.amount),
-          status: statusMap[Number(ride.status)],
-          pickup: pickupData.name,
-          dropoff: dropoffData.name,
-          pickupCoords: { lat: pickupData.lat, lng: pickupData.lng },
-          dropoffCoords: { lat: dropoffData.lat, lng: dropoffData.lng },
-          isRated: ride.isRated,
-          timestamp: Number(ride.timestamp)
-        });
+    const initBackend = async () => {
+      if (!(readOnly ? await connectReadOnly() : await connectWallet())) return;
+
+      try {
+        await indexer.start();
+        if (cancelled) indexer.stop();
+      } catch (err) {
+        console.error("讀取訂單失敗:", err);
+        // 唯讀模式的 provider 不會在連線時檢查節點，第一次讀取才會失敗；顯示錯誤而非空的訂單池
+        if (cancelled) return;
+        setRidesError(true);
+        notifyError(err, '無法讀取訂單', () => window.location.reload());
       }
-      setAllRides(rides);
-    } catch (err) {
-      console.error("讀取訂單失敗:", err);
+
+      try {
+        await reputationIndex.start();
+        if (cancelled) reputationIndex.stop();
+      } catch (err) {
+        console.error("讀取司機評價失敗:", err);
+      }
+    };
+
+    initBackend();
+
+    return () => {
+      cancelled = true;
+      indexer.stop();
+      unsubscribeRides();
+      reputationIndex.stop();
+      unsubscribeReputation();
+      if (unsubscribe) unsubscribe();
+      if (unsubscribeWallet) unsubscribeWallet();
+    };
+  }, [backend, connector, showToast, notifyError]);
+
+  // 行程紀錄的地址：查詢中的地址，否則為自己的錢包 (唯讀模式下可能沒有)
+  const historyAddress = lookupAddress || walletAddress;
+
+  // 先顯示快取的行程，再於背景補齊
+  useEffect(() => {
+    setHistoryRides([]);
+    if (!historyAddress) {
+      setRideHistory(null);
+      return;
     }
-  };
+    let cancelled = false;
+    const history = new RideHistory(backend, historyAddress);
+    setRideHistory(history);
+
+    const loadHistory = async () => {
+      const cached = await history.load();
+      if (cancelled) return;
+      setHistoryRides(cached);
+      try {
+        const rides = await history.refresh();
+        if (!cancelled) setHistoryRides(rides);
+      } catch (err) {
+        console.error("讀取行程紀錄失敗:", err);
+      }
+    };
 
-  const setupEventListeners = (_contract, myAddress) => {
-    const refresh = () => fetchRides(_contract);
-    _contract.on("RideRequested", refresh);
-    _contract.on("RideAccepted", refresh);
-    _contract.on("RideStarted", refresh);
-    _contract.on("RideCompleted", refresh);
-    _contract.on("RideCancelled", refresh);
-    _contract.on("DriverRated", refresh);
-  };
+    loadHistory();
+    return () => { cancelled = true; };
+  }, [backend, historyAddress]);
+
+  // 交易管理：重新整理後繼續追蹤尚未確認的交易
+  useEffect(() => {
+    const unsubscribe = txManager.subscribe(setTransactions);
+    txManager.start();
+    return () => {
+      txManager.stop();
+      unsubscribe();
+    };
+  }, [txManager]);
+
+  // 有交易等待確認的訂單 (避免重複送出)
+  const pendingRideIds = useMemo(
+    () => new Set(transactions.filter(tx => tx.status === 'pending' && tx.rideId !== null).map(tx => tx.rideId)),
+    [transactions]
+  );
+  const requestPending = transactions.some(tx => tx.status === 'pending' && tx.action === 'requestRide');
+
+  // 司機模式：由鏈上事件統計收益
+  useEffect(() => {
+    if (!walletAddress || role !== 'driver') return;
+    let cancelled = false;
+    const index = new EarningsIndex(backend, walletAddress);
+    const unsubscribeEarnings = index.subscribe(summary => {
+      if (!cancelled) setEarnings(summary);
+    });
+    index.start().catch(err => console.error("讀取收益失敗:", err));
+    return () => {
+      cancelled = true;
+      index.stop();
+      unsubscribeEarnings();
+      setEarnings(null);
+    };
+  }, [backend, walletAddress, role]);
+
+  // 即時訂單變動同步進歷史
+  useEffect(() => {
+    if (rideHistory && rideHistory.merge(indexedRides)) setHistoryRides(rideHistory.getRides());
+  }, [rideHistory, indexedRides]);
 
   useEffect(() => {
     if (!walletAddress || allRides.length === 0) return;
@@ -308,10 +694,14 @@ const NTUberApp = () => {
 
     const activeRide = myRides.sort((a, b) => b.id - a.id)[0];
     
-    if (appState === 'HISTORY' || appState === 'RATING') return;
+    if (['HISTORY', 'RATING', 'EARNINGS'].includes(appState)) return;
 
-    if (activeRide && ['Created', 'Accepted', 'Ongoing'].includes(activeRide.status)) {
+    if (activeRide && ACTIVE_STATUSES.includes(activeRide.status)) {
       setMyCurrentRide(activeRide);
+      // 已接單的行程：角色由身分決定 (例如剛在錢包中切換帳號)
+      if (activeRide.status !== 'Created') {
+        setRole(activeRide.driver?.toLowerCase() === walletAddress.toLowerCase() ? 'driver' : 'passenger');
+      }
       
       if (activeRide.status === 'Created') {
         if (role === 'passenger') setAppState('WAITING_DRIVER');
@@ -329,66 +719,94 @@ const NTUberApp = () => {
     ) {
         setMyCurrentRide(activeRide);
         setAppState('RATING');
+    } else if (
+        activeRide &&
+        activeRide.status === 'Completed' &&
+        role === 'driver' &&
+        activeRide.driver?.toLowerCase() === walletAddress.toLowerCase() &&
+        !activeRide.isPassengerRated &&
+        !passengerRatingState[activeRide.id]
+    ) {
+        // 司機端：行程完成後評價乘客
+        setMyCurrentRide(activeRide);
+        setAppState('RATING');
     } else if (activeRide && activeRide.status === 'Cancelled') {
         if (['WAITING_DRIVER', 'DRIVER_EN_ROUTE'].includes(appState)) {
              resetApp();
         }
     }
-  }, [allRides, walletAddress, role, skippedRideIds]); // 加入 skippedRideIds 依賴
+  }, [allRides, walletAddress, role, skippedRideIds, passengerRatingState]); // 加入 skippedRideIds 依賴
+
+  // --- 叫車後端交互 ---
+  // 唯讀模式 (尚未連接錢包) 下的寫入操作：開啟錢包選單，連上後再操作一次
+  const requireWallet = () => {
+    if (walletAddress) return true;
+    setWalletPickerOpen(true);
+    showToast({ severity: 'info', title: '需要連接錢包', message: '叫車、接單、取消與評價都需要以錢包簽署交易' });
+    return false;
+  };
 
-  // --- 合約交互 ---
-  const handleRequestRide = async () => {
-    if (!pickup || !dropoff || !contract) return;
+  // 送出交易：只在等待錢包確認時顯示遮罩，送出後由交易匣追蹤；回傳的 Promise 在交易確認時 resolve
+  // onSent(record)：交易送出 (取得 hash) 後、等待確認前呼叫
+  const runTransaction = async (action, args, { rideId = null, onSent } = {}) => {
+    setLoading(true);
+    setLoadingMsg(`請在錢包中確認「${ACTION_LABELS[action]}」交易...`);
+    let record;
     try {
-      await switchNetwork();
-      setLoading(true);
-      setLoadingMsg('請在錢包中確認交易...');
-      
-      const pickupData = JSON.stringify({ name: pickup, lat: pickupCoords.lat, lng: pickupCoords.lng });
-      const dropoffData = JSON.stringify({ name: dropoff, lat: dropoffCoords.lat, lng: dropoffCoords.lng });
-      
-      const currentSigner = await (new ethers.BrowserProvider(window.ethereum)).getSigner();
-      const contractWithSigner = contract.connect(currentSigner);
+      record = await txManager.send(action, args, { rideId });
+    } finally {
+      setLoading(false);
+    }
+    onSent?.(record);
+    return txManager.wait(record.hash);
+  };
 
-      const tx = await contractWithSigner.requestRide(pickupData, dropoffData, {
-        value: ethers.parseEther(estimatedPrice.toString())
+  const handleRequestRide = async () => {
+    if (!pickup || !dropoff || !requireWallet()) return;
+    if (!pickupCoords || !dropoffCoords) {
+      showToast({ severity: 'warning', title: '地點未確認', message: '請從建議清單選擇地點，或直接點選地圖' });
+      return;
+    }
+    // 路線規劃完成前沒有車資，不可用預設或上一組起訖點的金額託管
+    if (!tierPrices[selectedRideType]) {
+      showToast({ severity: 'info', title: '車資計算中', message: '路線規劃完成後即可叫車' });
+      return;
+    }
+    const fare = tierPrices[selectedRideType].eth;
+    // 司機接近時以系統通知提醒 (需在使用者操作時請求權限)
+    if ('Notification' in window && Notification.permission === 'default') Notification.requestPermission();
+    // 鏈上只寫約略位置，精確位置留在本機，接單後才加密傳給司機
+    const sealed = sealRideLocations(
+      { name: pickup, lat: pickupCoords.lat, lng: pickupCoords.lng },
+      { name: dropoff, lat: dropoffCoords.lat, lng: dropoffCoords.lng }
+    );
+    // 交易送出後才保存密鑰 (重新整理後仍可交換位置)；錢包拒絕時不留下任何資料
+    let saved = false;
+    try {
+      await runTransaction('requestRide', [sealed.pickup, sealed.dropoff, fare, { tier: selectedRideType }], {
+        onSent: () => {
+          setRideSecrets(saveRideSecret(walletAddress, sealed.publicKey, sealed.secret));
+          saved = true;
+        }
       });
-      
-      setLoadingMsg('交易廣播中，等待區塊確認...');
-      await tx.wait(); 
-      
-      setLoading(false);
       setAppState('WAITING_DRIVER');
     } catch (err) {
-      console.error(err);
-      if (err.code === "ACTION_REJECTED") {
-         alert("您取消了交易");
-      } else {
-         alert("交易失敗: " + (err.reason || err.message));
+      // revert 或已取消的訂單不會成立；被取代 (dropped) 的交易仍可能成功，保留密鑰
+      if (saved && err.name === 'TransactionError' && err.record.status !== 'dropped') {
+        setRideSecrets(forgetRideSecret(walletAddress, sealed.publicKey));
       }
-      setLoading(false);
+      notifyError(err, '叫車失敗', handleRequestRide);
     }
   };
 
   const handleAcceptRide = (rideId) => {
-    if (!contract) return;
+    if (!requireWallet()) return;
 
     const executeAccept = async () => {
       try {
-        await switchNetwork();
-        setLoading(true);
-        setLoadingMsg('正在接單...');
-        
-        const currentSigner = await (new ethers.BrowserProvider(window.ethereum)).getSigner();
-        const contractWithSigner = contract.connect(currentSigner);
-        
-        const tx = await contractWithSigner.acceptRide(rideId);
-        await tx.wait();
-        setLoading(false);
+        await runTransaction('acceptRide', [rideId], { rideId });
       } catch (err) {
-        console.error(err);
-        alert("接單失敗: " + (err.reason || err.message));
-        setLoading(false);
+        notifyError(err, '接單失敗', () => handleAcceptRide(rideId));
       }
     };
 
@@ -401,111 +819,197 @@ const NTUberApp = () => {
         },
         (error) => {
           console.error("Location error:", error);
-          alert("需允許位置存取才能接單 (供乘客追蹤)");
+          showToast({ severity: 'warning', title: '無法取得位置', message: '需允許位置存取才能接單 (供乘客追蹤)', suggestion: '請在瀏覽器的網站設定中允許位置存取' });
         }
       );
     } else {
-      alert("瀏覽器不支援定位");
+      showToast({ severity: 'error', title: '無法接單', message: '瀏覽器不支援定位' });
     }
   };
 
   const handleStartRide = async () => {
-    if (!contract || !myCurrentRide) return;
+    if (!walletAddress || !myCurrentRide) return;
     try {
-      await switchNetwork();
-      setLoading(true);
-      setLoadingMsg('更新行程狀態...');
-      
-      const currentSigner = await (new ethers.BrowserProvider(window.ethereum)).getSigner();
-      const contractWithSigner = contract.connect(currentSigner);
-
-      const tx = await contractWithSigner.startRide(myCurrentRide.id);
-      await tx.wait();
-      setLoading(false);
+      await runTransaction('startRide', [myCurrentRide.id], { rideId: myCurrentRide.id });
     } catch (err) {
-      console.error(err);
-      setLoading(false);
+      notifyError(err, '無法開始行程', handleStartRide);
     }
   };
 
   const handleCompleteRide = async () => {
-    if (!contract || !myCurrentRide) return;
+    if (!walletAddress || !myCurrentRide) return;
     try {
-      await switchNetwork();
-      setLoading(true);
-      setLoadingMsg('確認到達並釋放資金...');
-      
-      const currentSigner = await (new ethers.BrowserProvider(window.ethereum)).getSigner();
-      const contractWithSigner = contract.connect(currentSigner);
-
-      const tx = await contractWithSigner.completeRide(myCurrentRide.id);
-      await tx.wait();
-      setLoading(false);
+      await runTransaction('completeRide', [myCurrentRide.id], { rideId: myCurrentRide.id });
       setAppState('RATING');
     } catch (err) {
-      console.error(err);
-      setLoading(false);
+      notifyError(err, '無法完成行程', handleCompleteRide);
     }
   };
 
   const handleCancelRide = async (rideId = null) => {
     const targetId = rideId || myCurrentRide?.id;
-    if (!contract || !targetId) return;
+    if (!targetId || !requireWallet()) return;
     try {
-      await switchNetwork();
-      setLoading(true);
-      setLoadingMsg('正在取消訂單並退款...');
-      
-      const currentSigner = await (new ethers.BrowserProvider(window.ethereum)).getSigner();
-      const contractWithSigner = contract.connect(currentSigner);
-
-      const tx = await contractWithSigner.cancelRide(targetId);
-      await tx.wait();
-      
-      setLoading(false);
-      alert("訂單已取消，資金已退回您的錢包。");
+      await runTransaction('cancelRide', [targetId], { rideId: targetId });
+      showToast({ severity: 'success', title: '訂單已取消', message: '資金已退回您的錢包' });
       
       if (appState !== 'HISTORY') {
         resetApp();
       }
     } catch (err) {
-      console.error(err);
-      alert("取消失敗: " + (err.reason || err.message));
-      setLoading(false);
+      notifyError(err, '取消失敗', () => handleCancelRide(targetId));
     }
   };
 
   const handleRateDriver = async (stars) => {
-    if (!contract || !myCurrentRide) return;
+    if (!myCurrentRide || !requireWallet()) return;
     try {
-      await switchNetwork();
-      setLoading(true);
-      setLoadingMsg('提交評價上鏈...');
-      
-      const currentSigner = await (new ethers.BrowserProvider(window.ethereum)).getSigner();
-      const contractWithSigner = contract.connect(currentSigner);
+      await runTransaction('rateDriver', [myCurrentRide.id, stars], { rideId: myCurrentRide.id });
+      resetApp();
+    } catch (err) {
+      notifyError(err, '評價失敗');
+      resetApp();
+    }
+  };
 
-      const tx = await contractWithSigner.rateDriver(myCurrentRide.id, stars);
-      await tx.wait();
-      
-      alert(`評價成功！交易雜湊: ${tx.hash}`);
+  const handleRatePassenger = async (stars) => {
+    if (!myCurrentRide || !requireWallet()) return;
+    const rideId = myCurrentRide.id;
+    try {
+      await runTransaction('ratePassenger', [rideId, stars], { rideId });
+      setPassengerRatingState(prev => ({ ...prev, [rideId]: 'rated' }));
       resetApp();
     } catch (err) {
-      console.error(err);
+      notifyError(err, '評價失敗');
       resetApp();
+    }
+  };
+
+  // 交易匣：以相同 nonce 加速或取消等待中的交易
+  const handleReplaceTransaction = async (hash, cancel) => {
+    setLoading(true);
+    setLoadingMsg(cancel ? '請在錢包中確認取消交易...' : '請在錢包中確認加速交易...');
+    try {
+      await (cancel ? txManager.cancel(hash) : txManager.speedUp(hash));
+    } catch (err) {
+      notifyError(err, '無法取代交易');
     } finally {
       setLoading(false);
     }
   };
 
+  // --- 錢包選單 ---
+  const handleSelectWallet = (wallet) => {
+    saveWalletChoice(wallet.id);
+    setWalletPickerOpen(false);
+    // 換了錢包由初始化 effect 重新連線
+    if (wallet.id !== connector?.id) setConnector(wallet);
+  };
+
+  const handleDisconnectWallet = async () => {
+    saveWalletChoice('');
+    setWalletPickerOpen(false);
+    await backend.disconnect();
+    setConnector(null);
+    setWalletAddress('');
+    setBalance('0.00');
+    setIndexedRides([]);
+    setRole('passenger');
+    resetApp();
+  };
+
   // 新增：處理跳過評價
   const handleSkipRating = () => {
-    if (myCurrentRide) {
+    if (myCurrentRide && role === 'driver') {
+      setPassengerRatingState(prev => ({ ...prev, [myCurrentRide.id]: 'skipped' }));
+    } else if (myCurrentRide) {
       setSkippedRideIds(prev => [...prev, myCurrentRide.id]);
     }
     resetApp();
   };
 
+  const handleLoadMoreHistory = async () => {
+    if (!rideHistory) return;
+    setHistoryLoading(true);
+    try {
+      setHistoryRides(await rideHistory.loadMore());
+    } catch (err) {
+      console.error("讀取更早行程失敗:", err);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  // 查詢任一地址的公開行程 (鏈上資料，不需連接錢包)
+  const handleLookupHistory = (e) => {
+    e.preventDefault();
+    const input = lookupInput.trim();
+    if (!isAddress(input)) {
+      showToast({ severity: 'warning', title: '地址格式錯誤', message: '請輸入 0x 開頭的 42 字元以太坊地址' });
+      return;
+    }
+    const address = getAddress(input);
+    setReceipt(null);
+    setLookupAddress(address.toLowerCase() === walletAddress.toLowerCase() ? '' : address);
+  };
+
+  const handleShowOwnHistory = () => {
+    setLookupAddress('');
+    setLookupInput('');
+  };
+
+  // --- 收據與匯出 ---
+  const handleShowReceipt = async (ride) => {
+    setReceipt({ ride, record: null });
+    let transactions = [];
+    try {
+      transactions = (await collectRideTransactions(backend, [ride.id])).get(ride.id);
+    } catch (err) {
+      console.error("讀取行程交易失敗:", err);
+    }
+    const record = buildRideRecord(ride, historyAddress, transactions, ethRate);
+    setReceipt(current => (current?.ride.id === ride.id ? { ride, record } : current));
+  };
+
+  const handlePrintReceipt = (record) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return showToast(POPUP_BLOCKED_TOAST);
+    printReceipts(printWindow, toReceiptHtml([record], { address: historyAddress, network: backend.label }));
+  };
+
+  // format: 'csv' | 'json' | 'print'，匯出前先載入完整歷史
+  const handleExportHistory = async (format) => {
+    if (!rideHistory) return;
+    // 列印視窗必須在點擊當下開啟，之後才寫入內容
+    const printWindow = format === 'print' ? window.open('', '_blank') : null;
+    if (format === 'print' && !printWindow) return showToast(POPUP_BLOCKED_TOAST);
+
+    setExportProgress(0);
+    try {
+      let rides = storedHistoryRides;
+      while (rideHistory.hasMore) rides = await rideHistory.loadMore();
+      setHistoryRides(rides);
+      rides = rides.map(ride => revealRide(ride, rideSecrets));
+
+      const transactions = await collectRideTransactions(backend, rides.map(r => r.id), { onProgress: setExportProgress });
+      const records = rides.map(ride => buildRideRecord(ride, historyAddress, transactions.get(ride.id), ethRate));
+      const filename = `ntuber-rides-${historyAddress.slice(0, 8).toLowerCase()}-${new Date().toISOString().slice(0, 10)}`;
+
+      if (format === 'csv') {
+        downloadFile(`${filename}.csv`, toCsv(records), 'text/csv;charset=utf-8');
+      } else if (format === 'json') {
+        downloadFile(`${filename}.json`, toJson(records, { address: historyAddress, network: backend.label }), 'application/json');
+      } else {
+        printReceipts(printWindow, toReceiptHtml(records, { address: historyAddress, network: backend.label }));
+      }
+    } catch (err) {
+      notifyError(err, '匯出失敗');
+      printWindow?.close();
+    } finally {
+      setExportProgress(null);
+    }
+  };
+
   const resetApp = () => {
     setAppState('IDLE');
     setPickup('');
@@ -514,36 +1018,45 @@ const NTUberApp = () => {
     setDropoffCoords(null);
     setMyCurrentRide(null);
     setPreviewRide(null); 
-    setEstimatedPrice(0.001);
   };
 
   const parseJsonSafe = (str) => {
     try { return JSON.parse(str); } catch (e) { return null; }
   };
 
-  // --- 真實反向地理編碼 (Nominatim API) ---
+  // --- 反向地理編碼 (經快取與節流，見 src/geocoding) ---
   const fetchAddress = async (lat, lng) => {
     try {
-      const url = `https://nominatim.openstreetmap.org/reverse?format=jsonv2&lat=${lat}&lon=${lng}&accept-language=zh-TW`;
-      const response = await fetch(url);
-      if (!response.ok) throw new Error("Geocoding failed");
-      const data = await response.json();
-      
-      if (data.name) return data.name;
-      
-      const addr = data.address || {};
-      const road = addr.road || addr.pedestrian || addr.suburb || "";
-      const houseNumber = addr.house_number || "";
-      
-      if (road) return `${road}${houseNumber}`;
-      
-      return data.display_name?.split(',')[0] || `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+      return await reverseGeocoder.reverse(lat, lng);
     } catch (e) {
       console.error("Geocoding Error:", e);
       return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
     }
   };
 
+  // 手動輸入文字後原本的座標已不對應，清除後等待重新選擇
+  const handlePlaceInput = (field, value) => {
+    if (field === 'pickup') {
+      setPickup(value);
+      setPickupCoords(null);
+    } else {
+      setDropoff(value);
+      setDropoffCoords(null);
+    }
+  };
+
+  const handleSelectPlace = (place) => {
+    const coords = { lat: place.lat, lng: place.lng };
+    if (activeField === 'pickup') {
+      setPickup(place.name);
+      setPickupCoords(coords);
+      setActiveField('dropoff');
+    } else {
+      setDropoff(place.name);
+      setDropoffCoords(coords);
+    }
+  };
+
   const handleMapClick = async (lat, lng) => {
     if (appState !== 'IDLE') return;
     
@@ -565,7 +1078,7 @@ const NTUberApp = () => {
   };
 
   // --- 地圖元件 ---
-  const LeafletMap = ({ pickupCoords, dropoffCoords, currentRide, previewRide, onMapClick, driverCoords, userLocation }) => {
+  const LeafletMap = ({ pickupCoords, dropoffCoords, currentRide, previewRide, onMapClick, driverCoords, userLocation, routeGeometry, demandZones, poolClusters, onSelectRide }) => {
     const mapRef = useRef(null);
     const mapInstanceRef = useRef(null);
     const markersRef = useRef([]);
@@ -612,23 +1125,62 @@ const NTUberApp = () => {
         L.marker([dCoords.lat, dCoords.lng], { icon: createIcon('gray') }).addTo(map).bindPopup("目的地");
       }
       if (pCoords && dCoords) {
-        const latlngs = [[pCoords.lat, pCoords.lng], [dCoords.lat, dCoords.lng]];
-        const polyline = L.polyline(latlngs, { color: 'black', weight: 3, dashArray: '5, 10' }).addTo(map);
+        // 有路徑規劃結果時畫實際道路，否則退回虛線直線
+        const polyline = routeGeometry
+          ? L.polyline(routeGeometry, { color: 'black', weight: 4 }).addTo(map)
+          : L.polyline([[pCoords.lat, pCoords.lng], [dCoords.lat, dCoords.lng]], { color: 'black', weight: 3, dashArray: '5, 10' }).addTo(map);
         routingLineRef.current = polyline;
         map.fitBounds(polyline.getBounds(), { padding: [50, 50] });
       } else if (pCoords) {
         map.panTo([pCoords.lat, pCoords.lng]);
+      } else if (dCoords) {
+        map.panTo([dCoords.lat, dCoords.lng]);
       }
 
       if (driverCoords) {
         const carIcon = L.divIcon({
           className: 'car-icon',
-          html: `<div style="background: black; color: white; padding: 4px; border-radius: 4px; font-size: 10px; display: flex; align-items: center; justify-content: center;">BIKE</div>`,
-          iconSize: [30, 20]
+          html: `<div style="background: black; color: white; padding: 4px; border-radius: 4px; font-size: 10px; display: flex; align-items: center; justify-content: center;">${getRideTier(currentRide?.tier).marker}</div>`,
+          iconSize: [36, 20]
         });
         L.marker([driverCoords.lat, driverCoords.lng], { icon: carIcon, zIndexOffset: 1000 }).addTo(map);
       }
 
+      // 司機端：需求熱區 (等待中訂單越多越深)
+      if (demandZones) {
+        demandZones.forEach(zone => {
+          const circle = L.circle([zone.lat, zone.lng], {
+            radius: 120,
+            stroke: false,
+            fillColor: '#f97316',
+            fillOpacity: Math.min(0.15 + zone.count * 0.1, 0.6)
+          }).addTo(map).bindPopup(`${zone.count} 筆訂單等待中`);
+          markersRef.current.push(circle);
+        });
+      }
+
+      // 司機端：訂單池的上車點 (鄰近的合併為一群，數字為訂單數)
+      if (poolClusters) {
+        poolClusters.forEach(cluster => {
+          const count = cluster.rides.length;
+          const size = count > 1 ? 26 : 20;
+          const icon = L.divIcon({
+            className: 'pool-cluster',
+            html: `<div style="background: black; color: white; width: ${size}px; height: ${size}px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 4px rgba(0,0,0,0.5); font-size: 11px; font-weight: bold; display: flex; align-items: center; justify-content: center;">${count}</div>`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+          });
+          const marker = L.marker([cluster.lat, cluster.lng], { icon, zIndexOffset: 200 }).addTo(map);
+          if (count === 1) {
+            marker.on('click', () => onSelectRide(cluster.rides[0]));
+          } else {
+            // 地點名稱由乘客寫入鏈上，Leaflet 會以 HTML 插入，必須跳脫
+            marker.bindPopup(cluster.rides.map(r => `#${r.id} ${escapeHtml(r.pickup)} → ${escapeHtml(r.dropoff)}`).join('<br/>'));
+          }
+          markersRef.current.push(marker);
+        });
+      }
+
       if (userLocation) {
         const userIcon = L.divIcon({
           className: 'user-dot',
@@ -640,17 +1192,19 @@ const NTUberApp = () => {
         
         if (!currentRide && !previewRide && !pickupCoords) map.panTo([userLocation.lat, userLocation.lng]);
       }
-    }, [pickupCoords, dropoffCoords, currentRide, previewRide, driverCoords, userLocation]);
+    }, [pickupCoords, dropoffCoords, currentRide, previewRide, driverCoords, userLocation, routeGeometry, demandZones, poolClusters, onSelectRide]);
     return <div ref={mapRef} className="absolute inset-0 z-0" />;
   };
 
   // --- UI 元件 ---
   
-  const Header = () => {
+  // reputation：目前錢包的司機評價 (尚無評價為 null)，司機模式下顯示
+  const Header = ({ reputation }) => {
     const handleMenuClick = () => {
       if (appState === 'IDLE') {
+        setReceipt(null);
         setAppState('HISTORY'); 
-      } else if (appState === 'HISTORY') {
+      } else if (appState === 'HISTORY' || appState === 'EARNINGS') {
         setAppState('IDLE'); 
       } else {
         if (confirm('確定要取消並返回嗎？')) resetApp();
@@ -671,7 +1225,11 @@ const NTUberApp = () => {
           
           <div className="bg-gray-100 p-1 rounded-full flex text-sm relative group">
             <button 
-              onClick={() => !isRoleLocked && setRole('passenger')} 
+              onClick={() => {
+                if (isRoleLocked) return;
+                setRole('passenger');
+                if (appState === 'EARNINGS') setAppState('IDLE');
+              }} 
               disabled={isRoleLocked}
               className={`px-3 py-1 rounded-full transition ${role === 'passenger' ? 'bg-black text-white' : 'text-gray-500'} ${isRoleLocked ? 'opacity-50 cursor-not-allowed' : ''}`}
             >
@@ -693,13 +1251,28 @@ const NTUberApp = () => {
         </div>
         
         <div className="flex justify-between items-center text-xs">
-          <div className="flex items-center space-x-1 bg-green-50 text-green-700 px-2 py-1 rounded">
-            <Wallet size={12} />
-            <span className="font-mono">{balance} ETH <span className="text-gray-500 opacity-75">(≈NT${toNTD(balance)})</span></span>
-          </div>
-          <div className="text-gray-400">
-            {walletAddress ? `${walletAddress.substring(0, 6)}...` : '未連接'}
-          </div>
+          {walletAddress ? (
+            <div className="flex items-center space-x-1 bg-green-50 text-green-700 px-2 py-1 rounded">
+              <Wallet size={12} />
+              <span className="font-mono">{balance} ETH <span className="text-gray-500 opacity-75">(≈NT${toNTD(balance)})</span></span>
+            </div>
+          ) : (
+            <div className="flex items-center space-x-1 bg-gray-100 text-gray-500 px-2 py-1 rounded" title="可瀏覽訂單與估價，叫車或接單時再連接錢包">
+              <Eye size={12} />
+              <span>唯讀模式</span>
+            </div>
+          )}
+          {role === 'driver' && walletAddress && renderReputationSummary(reputation)}
+          {backend.needsWallet ? (
+            <button onClick={() => setWalletPickerOpen(true)} className="text-gray-400 hover:text-gray-700 flex items-center">
+              {connector?.icon && <img src={connector.icon} alt="" className="w-3 h-3 mr-1"/>}
+              {walletAddress ? `${walletAddress.substring(0, 6)}...` : '選擇錢包'}
+            </button>
+          ) : (
+            <div className="text-gray-400">
+              {walletAddress ? `${walletAddress.substring(0, 6)}...` : '未連接'}
+            </div>
+          )}
         </div>
       </div>
     );
@@ -709,24 +1282,222 @@ const NTUberApp = () => {
     <div className="absolute inset-0 bg-black/50 z-50 flex flex-col items-center justify-center text-white backdrop-blur-sm">
       <Loader2 className="animate-spin mb-4" size={48} />
       <p className="font-bold text-lg">{loadingMsg || '區塊鏈確認中...'}</p>
-      <p className="text-sm opacity-80 mt-2">請勿關閉瀏覽器</p>
+      <p className="text-sm opacity-80 mt-2">送出後可繼續操作，確認進度顯示於交易清單</p>
     </div>
   );
 
+  // 交易匣：等待確認的交易 (可加速/取消) 與結果，不阻擋操作
+  const renderTransactionTray = () => {
+    if (transactions.length === 0) return null;
+    const statusText = (tx) => {
+      if (tx.status === 'pending') {
+        if (tx.cancelledBy) return '取消中，等待區塊確認...';
+        return tx.replacements.length > 0 ? '已加速，等待區塊確認...' : '等待區塊確認...';
+      }
+      return {
+        confirmed: '已確認',
+        failed: `失敗：${decodeError(new TransactionError(tx)).message}`,
+        cancelled: '已取消',
+        dropped: '已被錢包中的其他交易取代'
+      }[tx.status];
+    };
+
+    return (
+      <div className="fixed top-4 right-4 z-40 w-72 space-y-2">
+        {transactions.map(tx => {
+          const pending = tx.status === 'pending';
+          const latestHash = tx.minedHash || tx.replacements[tx.replacements.length - 1] || tx.hash;
+          const url = backend.explorerTxUrl(latestHash);
+          return (
+            <div key={tx.hash} className="bg-white rounded-xl shadow-lg border border-gray-100 p-3 text-xs">
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-bold flex items-center">
+                  {pending ? <Loader2 size={12} className="animate-spin mr-1"/> : tx.status === 'confirmed' ? <ShieldCheck size={12} className="mr-1 text-green-600"/> : <XCircle size={12} className="mr-1 text-red-500"/>}
+                  {tx.label}{tx.rideId !== null && ` #${tx.rideId}`}
+                </span>
+                {!pending && <button onClick={() => txManager.dismiss(tx.hash)} className="text-gray-400 hover:text-gray-600"><X size={12}/></button>}
+              </div>
+              <div className={tx.status === 'confirmed' ? 'text-green-600' : pending ? 'text-gray-500' : 'text-red-500'}>{statusText(tx)}</div>
+              {url ? (
+                <a href={url} target="_blank" rel="noreferrer" className="font-mono text-blue-600 hover:underline flex items-center mt-1">{latestHash.slice(0, 10)}...{latestHash.slice(-6)}<ExternalLink size={10} className="ml-1"/></a>
+              ) : (
+                <div className="font-mono text-gray-400 mt-1">{latestHash.slice(0, 10)}...{latestHash.slice(-6)}</div>
+              )}
+              {pending && backend.supportsReplacement && tx.nonce !== null && !tx.cancelledBy && (
+                <div className="flex gap-2 mt-2">
+                  <button onClick={() => handleReplaceTransaction(tx.hash, false)} disabled={loading} className="flex-1 flex items-center justify-center py-1 rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"><FastForward size={12} className="mr-1"/>加速</button>
+                  <button onClick={() => handleReplaceTransaction(tx.hash, true)} disabled={loading} className="flex-1 flex items-center justify-center py-1 rounded border border-red-200 text-red-600 hover:bg-red-50 disabled:opacity-50"><Ban size={12} className="mr-1"/>取消交易</button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // 錢包選單：EIP-6963 探索到的所有錢包，可切換或中斷連線
+  const renderWalletPicker = () => {
+    if (!walletPickerOpen) return null;
+    return (
+      <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4" onClick={() => setWalletPickerOpen(false)}>
+        <div className="bg-white rounded-2xl shadow-xl w-80 max-w-full p-5" onClick={e => e.stopPropagation()}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-bold">選擇錢包</h2>
+            <button onClick={() => setWalletPickerOpen(false)} className="text-gray-400 hover:text-gray-600"><X size={18}/></button>
+          </div>
+          {wallets.length === 0 ? (
+            <p className="text-sm text-gray-500">未檢測到錢包，請安裝 MetaMask 等瀏覽器錢包後重新整理頁面。</p>
+          ) : (
+            <div className="space-y-2">
+              {wallets.map(wallet => (
+                <button
+                  key={wallet.id}
+                  onClick={() => handleSelectWallet(wallet)}
+                  className={`w-full flex items-center p-3 rounded-xl border transition ${wallet.id === connector?.id ? 'border-black bg-gray-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                >
+                  {wallet.icon ? <img src={wallet.icon} alt="" className="w-7 h-7 mr-3"/> : <Wallet size={28} className="mr-3 text-gray-400"/>}
+                  <span className="font-bold flex-grow text-left">{wallet.name}</span>
+                  {wallet.id === connector?.id && walletAddress && (
+                    <span className="text-xs text-gray-500 font-mono">{walletAddress.substring(0, 6)}...</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+          {connector && (
+            <button onClick={handleDisconnectWallet} className="w-full mt-4 flex items-center justify-center py-2 rounded-xl text-sm text-red-600 hover:bg-red-50">
+              <LogOut size={14} className="mr-1"/>中斷連線
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // 提示訊息 (錯誤、警告與操作結果)，顯示在畫面上方中央
+  const renderToasts = () => {
+    if (toasts.length === 0) return null;
+    const styles = {
+      success: { icon: <CheckCircle2 size={16} className="text-green-600"/>, border: 'border-green-200' },
+      info: { icon: <Info size={16} className="text-blue-500"/>, border: 'border-blue-200' },
+      warning: { icon: <AlertTriangle size={16} className="text-yellow-500"/>, border: 'border-yellow-300' },
+      error: { icon: <XCircle size={16} className="text-red-500"/>, border: 'border-red-300' }
+    };
+
+    return (
+      <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[60] w-80 max-w-[90vw] space-y-2">
+        {toasts.map(toast => (
+          <div key={toast.id} className={`bg-white rounded-xl shadow-lg border ${styles[toast.severity].border} p-3 text-sm flex items-start`}>
+            <div className="mr-2 mt-0.5 shrink-0">{styles[toast.severity].icon}</div>
+            <div className="flex-grow min-w-0">
+              <div className="font-bold">{toast.title}</div>
+              <div className="text-gray-600">{toast.message}</div>
+              {toast.suggestion && <div className="text-xs text-gray-400 mt-1">{toast.suggestion}</div>}
+              {toast.action && (
+                <button
+                  onClick={() => { dismissToast(toast.id); toast.action.onClick(); }}
+                  className="mt-2 px-3 py-1 rounded-full bg-black text-white text-xs font-bold hover:bg-gray-800"
+                >
+                  {toast.action.label}
+                </button>
+              )}
+            </div>
+            <button onClick={() => dismissToast(toast.id)} className="ml-2 text-gray-400 hover:text-gray-600 shrink-0"><X size={14}/></button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // 單筆行程收據 (含鏈上交易雜湊)
+  const renderReceiptView = () => {
+    const { ride, record } = receipt;
+    const rows = record && [
+      ...RECORD_TIME_LABELS.filter(([key]) => record[key]).map(([key, label]) => [label, new Date(record[key]).toLocaleString()]),
+      ['狀態', ride.status],
+      ['上車地點', record.pickup],
+      ['目的地', record.dropoff],
+      ['車資', `${record.fareEth} ETH，${formatFareNtd(record)}`],
+      [record.role === 'passenger' ? '司機' : '乘客', record.counterpart || '—']
+    ];
+
+    return (
+      <div className="flex-grow flex flex-col h-full bg-white">
+        <div className="flex justify-between items-center p-4 border-b">
+            <h2 className="text-xl font-bold flex items-center"><Receipt className="mr-2" size={20}/> 行程收據 #{ride.id}</h2>
+            <button onClick={() => setReceipt(null)} className="p-1.5 bg-gray-100 rounded-full hover:bg-gray-200"><ChevronLeft size={18}/></button>
+        </div>
+        {!record ? (
+          <div className="flex-grow flex items-center justify-center text-gray-400 text-sm"><Loader2 size={16} className="animate-spin mr-2"/> 查詢鏈上交易中...</div>
+        ) : (
+          <div className="flex-grow overflow-y-auto p-4 text-sm">
+            <table className="w-full mb-6">
+              <tbody>
+                {rows.map(([label, value]) => (
+                  <tr key={label} className="border-b border-gray-100"><th className="text-left font-normal text-gray-400 py-2 pr-3 align-top w-24">{label}</th><td className="py-2 break-all">{value}</td></tr>
+                ))}
+              </tbody>
+            </table>
+            <h3 className="font-bold mb-2">鏈上交易</h3>
+            {!record.eventsComplete && <p className="bg-orange-50 border border-orange-100 rounded-lg p-2 mb-2 text-xs text-orange-800 flex items-start"><AlertTriangle size={12} className="mr-1 mt-0.5 flex-shrink-0"/>{INCOMPLETE_EVENTS_NOTE}</p>}
+            {record.transactions.length === 0 ? (
+              <p className="text-xs text-gray-400 mb-6">查無相關交易</p>
+            ) : (
+              <ul className="space-y-2 mb-6">
+                {record.transactions.map(tx => (
+                  <li key={tx.transactionHash + tx.event} className="text-xs"><div className="text-gray-500">{tx.label} · 區塊 {tx.blockNumber}</div><div className="font-mono break-all">{tx.transactionHash}</div></li>
+                ))}
+              </ul>
+            )}
+            <button onClick={() => handlePrintReceipt(record)} className="w-full bg-black text-white py-3 rounded-xl font-bold flex items-center justify-center"><Printer size={16} className="mr-2"/> 列印收據</button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const renderHistoryView = () => {
-    const myHistory = allRides.filter(r => 
-      r.passenger.toLowerCase() === walletAddress.toLowerCase() || 
-      (r.driver && r.driver.toLowerCase() === walletAddress.toLowerCase())
-    ).sort((a, b) => b.id - a.id); 
+    if (receipt) return renderReceiptView();
+    const myHistory = historyRides;
+    const exporting = exportProgress !== null;
 
     return (
       <div className="flex-grow flex flex-col h-full bg-white">
         <div className="flex justify-between items-center p-4 border-b">
-            <h2 className="text-xl font-bold flex items-center"><History className="mr-2" size={20}/> 我的行程</h2>
+            <h2 className="text-xl font-bold flex items-center">
+              <History className="mr-2" size={20}/>
+              {lookupAddress ? <>行程紀錄 <span className="ml-2 font-mono text-sm text-gray-500">{lookupAddress.substring(0, 6)}...{lookupAddress.slice(-4)}</span></> : '我的行程'}
+            </h2>
             <button onClick={() => setAppState('IDLE')} className="p-1.5 bg-gray-100 rounded-full hover:bg-gray-200"><XCircle size={18}/></button>
         </div>
+        <form onSubmit={handleLookupHistory} className="px-4 py-2 border-b flex items-center gap-2 text-xs">
+          <input
+            value={lookupInput}
+            onChange={e => setLookupInput(e.target.value)}
+            placeholder="查詢任一地址的公開行程 (0x...)"
+            className="flex-grow min-w-0 px-2 py-1 border border-gray-200 rounded font-mono focus:outline-none focus:border-gray-400"
+          />
+          <button type="submit" className="flex items-center px-2 py-1 rounded border border-gray-200 hover:bg-gray-50"><Search size={12} className="mr-1"/>查詢</button>
+          {lookupAddress && walletAddress && (
+            <button type="button" onClick={handleShowOwnHistory} className="px-2 py-1 rounded border border-gray-200 hover:bg-gray-50 whitespace-nowrap">我的行程</button>
+          )}
+        </form>
+        {myHistory.length > 0 && (
+          <div className="px-4 py-2 border-b flex items-center gap-2 text-xs">
+            <span className="text-gray-400 mr-auto">{exporting ? `匯出中 ${Math.round(exportProgress * 100)}%...` : '匯出全部行程'}</span>
+            <button onClick={() => handleExportHistory('csv')} disabled={exporting} className="flex items-center px-2 py-1 rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"><Download size={12} className="mr-1"/>CSV</button>
+            <button onClick={() => handleExportHistory('json')} disabled={exporting} className="flex items-center px-2 py-1 rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"><Download size={12} className="mr-1"/>JSON</button>
+            <button onClick={() => handleExportHistory('print')} disabled={exporting} className="flex items-center px-2 py-1 rounded border border-gray-200 hover:bg-gray-50 disabled:opacity-50"><Printer size={12} className="mr-1"/>列印</button>
+          </div>
+        )}
         <div className="flex-grow overflow-y-auto p-4 space-y-4">
-          {myHistory.length === 0 ? (
+          {!historyAddress ? (
+            <div className="text-center py-12 text-gray-400 text-sm space-y-3">
+              <p>連接錢包以查看您的行程，或在上方輸入任一地址查詢公開紀錄</p>
+              <button onClick={() => setWalletPickerOpen(true)} className="px-4 py-1.5 rounded-full bg-black text-white text-xs font-bold hover:bg-gray-800">連接錢包</button>
+            </div>
+          ) : myHistory.length === 0 ? (
             <div className="text-center py-12 text-gray-400"><p>尚無行程紀錄</p></div>
           ) : (
             myHistory.map((ride) => (
@@ -752,10 +1523,16 @@ const NTUberApp = () => {
                     </div>
                   )}
                 </div>
+                <button 
+                  onClick={() => handleShowReceipt(ride)} 
+                  className="w-full mt-1 bg-white border border-gray-200 text-gray-600 py-1.5 rounded text-xs font-bold hover:bg-gray-50 flex items-center justify-center"
+                >
+                  <Receipt size={12} className="mr-1"/> 收據
+                </button>
                 {['Created', 'Accepted'].includes(ride.status) && ride.passenger.toLowerCase() === walletAddress.toLowerCase() && (
                   <button 
                     onClick={() => handleCancelRide(ride.id)} 
-                    disabled={loading}
+                    disabled={loading || pendingRideIds.has(ride.id)}
                     className="w-full mt-1 bg-white border border-red-200 text-red-600 py-1.5 rounded text-xs font-bold hover:bg-red-50 flex items-center justify-center"
                   >
                     <XCircle size={12} className="mr-1"/> 取消 (退款)
@@ -770,14 +1547,125 @@ const NTUberApp = () => {
                     前往評價
                   </button>
                 )}
+                {canRatePassenger(ride) && (
+                  <button 
+                    onClick={() => { setRole('driver'); setMyCurrentRide(ride); setAppState('RATING'); }} 
+                    className="w-full mt-1 bg-white border border-gray-300 text-gray-700 py-1.5 rounded text-xs font-bold hover:bg-gray-50"
+                  >
+                    評價乘客
+                  </button>
+                )}
               </div>
             ))
           )}
+          {rideHistory?.hasMore && (
+            <button
+              onClick={handleLoadMoreHistory}
+              disabled={historyLoading}
+              className="w-full py-2 text-xs font-bold text-gray-500 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 flex items-center justify-center"
+            >
+              {historyLoading ? <><Loader2 size={12} className="animate-spin mr-1"/> 讀取中...</> : '載入更早的行程'}
+            </button>
+          )}
         </div>
       </div>
     );
   };
 
+  // 司機收益：各期間總額、平均與每日收益圖
+  const renderEarningsView = () => {
+    const formatEth = (value) => `${value.toFixed(4)} ETH`;
+    const peak = earnings ? Math.max(...earnings.daily.map(d => d.earnings)) : 0;
+
+    return (
+      <div className="flex-grow flex flex-col h-full bg-white">
+        <div className="flex justify-between items-center p-4 border-b">
+            <h2 className="text-xl font-bold flex items-center"><BarChart3 className="mr-2" size={20}/> 我的收益</h2>
+            <button onClick={() => setAppState('IDLE')} className="p-1.5 bg-gray-100 rounded-full hover:bg-gray-200"><XCircle size={18}/></button>
+        </div>
+        {!earnings ? (
+          <div className="flex-grow flex items-center justify-center text-gray-400 text-sm"><Loader2 size={16} className="animate-spin mr-2"/> 查詢鏈上完成紀錄中...</div>
+        ) : (
+          <div className="flex-grow overflow-y-auto p-4 space-y-5 text-sm">
+            <div className="grid grid-cols-3 gap-2">
+              {[['今日', earnings.today], ['本週', earnings.week], ['本月', earnings.month]].map(([label, period]) => (
+                <div key={label} className="bg-gray-50 rounded-xl p-3">
+                  <div className="text-xs text-gray-400">{label}</div>
+                  <div className="font-bold">NT${toNTD(period.earnings)}</div>
+                  <div className="text-[10px] text-gray-400 font-mono">{formatEth(period.earnings)} · {period.trips} 趟</div>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <h3 className="font-bold mb-2">最近 {earnings.daily.length} 天</h3>
+              <div className="flex items-end h-28 gap-1 border-b border-gray-200">
+                {earnings.daily.map(day => (
+                  <div key={day.date} className="flex-1 h-full flex flex-col justify-end" title={`${new Date(day.date).toLocaleDateString()}：NT$${toNTD(day.earnings)} (${day.trips} 趟)`}>
+                    <div className="bg-black rounded-t" style={{ height: peak > 0 ? `${(day.earnings / peak) * 100}%` : 0 }}></div>
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-1 mt-1 text-[9px] text-gray-400">
+                {earnings.daily.map(day => <div key={day.date} className="flex-1 text-center">{new Date(day.date).getDate()}</div>)}
+              </div>
+            </div>
+
+            <table className="w-full">
+              <tbody>
+                {[
+                  ['完成趟數', `${earnings.totalTrips} 趟`],
+                  ['累計收益', `NT$${toNTD(earnings.totalEarnings)} (${formatEth(earnings.totalEarnings)})`],
+                  ['平均車資', earnings.averageFare === null ? '—' : `NT$${toNTD(earnings.averageFare)}`],
+                  ['接單到完成', earnings.averageDuration === null ? '—' : `平均 ${Math.max(1, Math.round(earnings.averageDuration / 60))} 分鐘`]
+                ].map(([label, value]) => (
+                  <tr key={label} className="border-b border-gray-100"><th className="text-left font-normal text-gray-400 py-2 pr-3 w-28">{label}</th><td className="py-2">{value}</td></tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div>
+              <h3 className="font-bold mb-2">接單後取消</h3>
+              {earnings.cancellations.total === 0 ? (
+                <p className="text-xs text-gray-400">沒有接單後被取消的訂單</p>
+              ) : (
+                <div className="bg-red-50 text-red-800 rounded-xl p-3 text-xs space-y-1">
+                  <div className="flex justify-between"><span>共 {earnings.cancellations.total} 筆</span><span>佔已結束訂單 {Math.round(earnings.cancellations.rate * 100)}%</span></div>
+                  <div className="flex justify-between text-red-600"><span>乘客取消</span><span>{earnings.cancellations.byPassenger} 筆</span></div>
+                  <div className="flex justify-between text-red-600"><span>我取消</span><span>{earnings.cancellations.byDriver} 筆</span></div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderPlaceSuggestions = () => {
+    if (placeSearch.searching) {
+      return (
+        <div className="absolute left-0 right-0 top-full mt-1 bg-white rounded-lg shadow-lg border border-gray-100 z-20 p-3 text-sm text-gray-400 flex items-center">
+          <Loader2 size={14} className="mr-2 animate-spin"/>搜尋中...
+        </div>
+      );
+    }
+    if (placeSuggestions.length === 0) return null;
+    return (
+      <ul className="absolute left-0 right-0 top-full mt-1 bg-white rounded-lg shadow-lg border border-gray-100 z-20 overflow-hidden">
+        {placeSuggestions.map(place => (
+          <li key={`${place.source}:${place.name}`} onClick={() => handleSelectPlace(place)} className="flex items-start p-3 cursor-pointer hover:bg-gray-50 border-b border-gray-50 last:border-0">
+            <MapPin size={14} className="mr-2 mt-0.5 text-gray-400 flex-shrink-0"/>
+            <div className="min-w-0">
+              <div className="font-medium text-sm">{place.name}</div>
+              {place.label && <div className="text-xs text-gray-400 truncate">{place.label}</div>}
+            </div>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
   const renderPassengerView = () => {
     if (appState === 'HISTORY') return renderHistoryView();
 
@@ -786,35 +1674,65 @@ const NTUberApp = () => {
         <div className="flex-grow flex flex-col p-6 overflow-y-auto">
           <h2 className="text-2xl font-bold mb-4">想去哪裡？</h2>
           <p className="text-xs text-gray-500 mb-4 flex items-center">
-            <Crosshair size={12} className="mr-1"/> 請輸入地點或點選地圖
+            <Crosshair size={12} className="mr-1"/> 輸入地點後從建議清單選擇 (按 Enter 搜尋更多地點)，或直接點選地圖
           </p>
           <div className="space-y-4 mb-6">
             <div className="relative">
               <div className={`absolute left-4 top-3.5 w-2 h-2 rounded-full transition-colors ${activeField === 'pickup' ? 'bg-blue-500 scale-125' : 'bg-black'}`}></div>
               <div className="absolute left-5 top-6 w-0.5 h-8 bg-gray-300"></div>
-              <input type="text" placeholder="輸入上車地點" value={pickup} onFocus={() => setActiveField('pickup')} onChange={(e) => setPickup(e.target.value)} className="w-full bg-gray-100 p-3 pl-10 rounded-lg focus:outline-none border-2 font-medium transition-colors border-transparent focus:border-black focus:bg-white" />
+              <input type="text" placeholder="輸入上車地點" value={pickup} onFocus={() => setActiveField('pickup')} onChange={(e) => handlePlaceInput('pickup', e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') placeSearch.submit(); }} className="w-full bg-gray-100 p-3 pl-10 rounded-lg focus:outline-none border-2 font-medium transition-colors border-transparent focus:border-black focus:bg-white" />
+              {activeField === 'pickup' && renderPlaceSuggestions()}
             </div>
             <div className="relative">
               <div className={`absolute left-4 top-3.5 w-2 h-2 transition-colors ${activeField === 'dropoff' ? 'bg-blue-500 scale-125' : 'bg-black'}`}></div>
-              <input type="text" placeholder="輸入目的地" value={dropoff} onFocus={() => setActiveField('dropoff')} onChange={(e) => setDropoff(e.target.value)} className="w-full bg-gray-100 p-3 pl-10 rounded-lg focus:outline-none border-2 font-medium transition-colors border-transparent focus:border-black focus:bg-white" />
+              <input type="text" placeholder="輸入目的地" value={dropoff} onFocus={() => setActiveField('dropoff')} onChange={(e) => handlePlaceInput('dropoff', e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') placeSearch.submit(); }} className="w-full bg-gray-100 p-3 pl-10 rounded-lg focus:outline-none border-2 font-medium transition-colors border-transparent focus:border-black focus:bg-white" />
+              {activeField === 'dropoff' && renderPlaceSuggestions()}
             </div>
           </div>
           {pickup && dropoff && (
             <div className="space-y-3 mb-6">
-              <div onClick={() => { setSelectedRideType('NTUber Bike'); }} className={`flex justify-between items-center p-3 rounded-xl border-2 cursor-pointer transition ${selectedRideType === 'NTUber Bike' ? 'border-black bg-gray-50' : 'border-transparent hover:bg-gray-50'}`}>
-                <div className="flex items-center space-x-3">
-                  <div className="bg-gray-200 p-2 rounded-full"><Bike size={24} className="text-gray-700" /></div>
-                  <div><div className="font-bold text-lg">NTUber Bike</div><div className="text-xs text-gray-500">環保出行</div></div>
-                </div>
-                <div className="text-right">
-                  <div className="font-bold text-lg">{estimatedPrice} ETH</div>
-                  <div className="text-sm text-gray-500">≈ NT${toNTD(estimatedPrice)}</div>
+              {RIDE_TIERS.map((tier) => {
+                const TierIcon = tier.icon;
+                const price = tierPrices[tier.id];
+                return (
+                  <div key={tier.id} onClick={() => { setSelectedRideType(tier.id); }} className={`flex justify-between items-center p-3 rounded-xl border-2 cursor-pointer transition ${selectedRideType === tier.id ? 'border-black bg-gray-50' : 'border-transparent hover:bg-gray-50'}`}>
+                    <div className="flex items-center space-x-3">
+                      <div className="bg-gray-200 p-2 rounded-full"><TierIcon size={24} className="text-gray-700" /></div>
+                      <div>
+                        <div className="font-bold text-lg">{tier.name}</div>
+                        <div className="text-xs text-gray-500 flex items-center">{tier.description}<span className="ml-2 flex items-center"><User size={10} className="mr-0.5"/>{tier.capacity}</span></div>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      {price ? (
+                        <>
+                          <div className="font-bold text-lg">NT${price.ntd.toLocaleString()}</div>
+                          <div className="text-sm text-gray-500 font-mono">≈ {price.eth} ETH</div>
+                        </>
+                      ) : (
+                        <div className="text-sm text-gray-400 flex items-center"><Loader2 size={14} className="mr-1 animate-spin"/>計算中</div>
+                      )}
+                      {surge.multiplier > 1 && (
+                        <div className="inline-flex items-center text-[10px] font-bold bg-orange-100 text-orange-700 px-1.5 py-0.5 rounded mt-1"><Zap size={10} className="mr-0.5"/>{surge.multiplier.toFixed(1)}x</div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+              {surge.multiplier > 1 && (
+                <div className="bg-orange-50 border border-orange-100 rounded-lg p-3 text-xs text-orange-800">
+                  <div className="font-bold mb-1 flex items-center"><Zap size={12} className="mr-1"/> 目前需求較高，車資 ×{surge.multiplier.toFixed(1)}</div>
+                  <ul className="space-y-0.5 text-orange-700">
+                    {surge.factors.map(f => <li key={f.label}>• {f.label}：{f.detail}</li>)}
+                  </ul>
+                  <div className="text-[10px] text-orange-500 mt-1">加成上限為 ×{SURGE_CAP.toFixed(1)}{surge.capped ? '，已達上限' : ''}</div>
                 </div>
-              </div>
+              )}
+              {renderRateFreshness()}
             </div>
           )}
-          <button onClick={handleRequestRide} disabled={!pickup || !dropoff || loading} className="w-full bg-black text-white py-4 rounded-xl font-bold text-lg shadow-lg hover:scale-[1.01] transition-transform disabled:opacity-50 disabled:cursor-not-allowed mt-auto">
-            {loading ? '處理中...' : '確認叫車'}
+          <button onClick={handleRequestRide} disabled={!pickupCoords || !dropoffCoords || !tierPrices[selectedRideType] || loading || requestPending} className="w-full bg-black text-white py-4 rounded-xl font-bold text-lg shadow-lg hover:scale-[1.01] transition-transform disabled:opacity-50 disabled:cursor-not-allowed mt-auto">
+            {loading ? '處理中...' : requestPending ? '叫車交易確認中...' : pickupCoords && dropoffCoords && !tierPrices[selectedRideType] ? '計算車資中...' : '確認叫車'}
           </button>
         </div>
       );
@@ -827,7 +1745,7 @@ const NTUberApp = () => {
           <h3 className="text-xl font-bold mb-2">訂單已上鏈！</h3>
           <p className="text-gray-500 mb-6">等待司機接單...</p>
           <div className="w-full bg-gray-200 h-1.5 rounded-full overflow-hidden mb-6"><div className="bg-black h-full w-2/3 animate-indeterminate"></div></div>
-          <button onClick={() => handleCancelRide(null)} disabled={loading} className="text-red-500 font-bold underline hover:text-red-700 flex items-center justify-center">
+          <button onClick={() => handleCancelRide(null)} disabled={loading || pendingRideIds.has(myCurrentRide?.id)} className="text-red-500 font-bold underline hover:text-red-700 flex items-center justify-center">
              <XCircle size={16} className="mr-1"/> 取消並退款
           </button>
         </div>
@@ -839,60 +1757,261 @@ const NTUberApp = () => {
 
   const renderDriverView = () => {
     if (appState === 'HISTORY') return renderHistoryView();
+    if (appState === 'RATING') return renderRatingView();
+    if (appState === 'EARNINGS') return renderEarningsView();
     if (myCurrentRide && ['Accepted', 'Ongoing'].includes(myCurrentRide.status)) return renderActiveRideView();
+
     return (
       <div className="flex-grow flex flex-col h-full bg-white">
         <div className="flex justify-between items-center p-4 border-b bg-gray-50">
-          <div><h2 className="text-lg font-bold flex items-center"><List className="mr-2" size={20}/> 訂單池</h2><span className="text-[10px] text-gray-400">Sepolia Live Feed</span></div>
-          <div className="flex items-center space-x-1 bg-black text-white px-2 py-0.5 rounded-full text-xs"><div className="w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse"></div><span>上線</span></div>
+          <div><h2 className="text-lg font-bold flex items-center"><List className="mr-2" size={20}/> 訂單池</h2><span className="text-[10px] text-gray-400">{backend.label}</span></div>
+          <div className="flex flex-col items-end space-y-1">
+            <div className="flex items-center space-x-1">
+              <button onClick={() => requireWallet() && setAppState('EARNINGS')} className="flex items-center bg-white border border-gray-200 text-gray-600 px-2 py-0.5 rounded-full text-xs hover:bg-gray-100"><BarChart3 size={12} className="mr-1"/>收益</button>
+              {walletAddress ? (
+                <div className="flex items-center space-x-1 bg-black text-white px-2 py-0.5 rounded-full text-xs"><div className="w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse"></div><span>上線</span></div>
+              ) : (
+                <div className="flex items-center space-x-1 bg-gray-200 text-gray-600 px-2 py-0.5 rounded-full text-xs"><Eye size={10}/><span>唯讀</span></div>
+              )}
+            </div>
+          </div>
+        </div>
+        {surge.multiplier > 1 && (
+          <div className="px-4 py-2 bg-orange-50 border-b border-orange-100 text-xs text-orange-800 flex items-center">
+            <Zap size={12} className="mr-1 flex-shrink-0"/>
+            <span>需求高峰 ×{surge.multiplier.toFixed(1)}，地圖上的橘色區域為等待中的叫車熱區</span>
+          </div>
+        )}
+        <div className="px-4 py-2 border-b flex items-center flex-wrap gap-1.5 text-xs">
+          <span className="text-gray-400 mr-1">服務車種</span>
+          {RIDE_TIERS.map(tier => {
+            const TierIcon = tier.icon;
+            const active = driverTiers.includes(tier.id);
+            return (
+              <button
+                key={tier.id}
+                onClick={() => toggleDriverTier(tier.id)}
+                className={`flex items-center px-2 py-0.5 rounded-full border transition ${active ? 'bg-black text-white border-black' : 'text-gray-500 border-gray-200 hover:border-gray-400'}`}
+              >
+                <TierIcon size={12} className="mr-1"/>{tier.name.replace('NTUber ', '')}
+              </button>
+            );
+          })}
         </div>
+        <div className="px-4 py-2 border-b flex items-center gap-3 text-xs">
+          <label className="flex items-center text-gray-400">
+            接客半徑
+            <select value={poolFilter.maxRadius ?? ''} onChange={(e) => setPoolFilter(f => ({ ...f, maxRadius: e.target.value ? Number(e.target.value) : null }))} className="ml-1 bg-gray-100 text-gray-700 rounded px-1 py-0.5">
+              {RADIUS_OPTIONS.map(r => <option key={r ?? 'all'} value={r ?? ''}>{r ? formatDistance(r) : '不限'}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center text-gray-400">
+            最低車資
+            <select value={poolFilter.minFare} onChange={(e) => setPoolFilter(f => ({ ...f, minFare: Number(e.target.value) }))} className="ml-1 bg-gray-100 text-gray-700 rounded px-1 py-0.5">
+              {MIN_FARE_OPTIONS.map(fare => <option key={fare} value={fare}>{fare ? `NT$${fare}` : '不限'}</option>)}
+            </select>
+          </label>
+        </div>
+        {!userLocation && (
+          <button onClick={handleLocateMe} className="mx-4 mt-3 text-xs text-blue-600 bg-blue-50 rounded-lg p-2 flex items-center justify-center"><Crosshair size={12} className="mr-1"/>開啟定位以依上車點距離排序</button>
+        )}
         <div className="flex-grow overflow-y-auto p-4 space-y-4">
-          {allRides.filter(r => r.status === 'Created').length === 0 ? (
-            <div className="text-center py-12 text-gray-400"><p>目前無待處理訂單</p></div>
+          {ridesError ? (
+            <div className="text-center py-12 text-sm">
+              <AlertTriangle size={24} className="mx-auto mb-2 text-orange-500"/>
+              <p className="font-bold text-gray-700">無法從區塊鏈節點讀取訂單</p>
+              <p className="text-xs text-gray-400 mt-1">節點可能暫時無法連線或已達流量上限 (可用 VITE_RPC_URL 指定其他節點)</p>
+              <button onClick={() => window.location.reload()} className="mt-3 px-4 py-1.5 rounded-full bg-black text-white text-xs font-bold">重新整理</button>
+            </div>
+          ) : openRides.length === 0 ? (
+            <div className="text-center py-12 text-gray-400"><p>目前無符合條件的訂單</p></div>
           ) : (
-            allRides.filter(r => r.status === 'Created').map((ride) => (
-              <div 
-                key={ride.id} 
-                onClick={() => setPreviewRide(ride)}
-                className={`border-2 p-4 rounded-xl shadow-sm transition relative cursor-pointer ${previewRide?.id === ride.id ? 'border-black bg-gray-50' : 'border-gray-100 bg-white hover:border-gray-300'}`}
-              >
-                <div className="flex justify-between items-start mb-2">
-                  <div className="flex items-center space-x-2"><div className="bg-gray-100 p-1 rounded-full"><User size={12}/></div><span className="font-bold text-gray-600">#{ride.id}</span></div>
-                  <div className="text-right">
-                    <div className="font-bold text-green-600">{ride.amount} ETH</div>
-                    <div className="text-xs text-gray-400">≈ NT${toNTD(ride.amount)}</div>
+            openRides.map((ride) => {
+              const tier = getRideTier(ride.tier);
+              const TierIcon = tier.icon;
+              return (
+                <div 
+                  key={ride.id} 
+                  onClick={() => setPreviewRide(ride)}
+                  className={`border-2 p-4 rounded-xl shadow-sm transition relative cursor-pointer ${previewRide?.id === ride.id ? 'border-black bg-gray-50' : 'border-gray-100 bg-white hover:border-gray-300'}`}
+                >
+                  <div className="flex justify-between items-start mb-2">
+                    <div className="flex items-center space-x-2">
+                      <div className="bg-gray-100 p-1 rounded-full"><User size={12}/></div><span className="font-bold text-gray-600">#{ride.id}</span>
+                      <span className="flex items-center text-[10px] bg-gray-100 text-gray-600 px-1.5 py-0.5 rounded"><TierIcon size={10} className="mr-0.5"/>{tier.name.replace('NTUber ', '')}</span>
+                    </div>
+                    <div className="text-right">
+                      <div className="font-bold text-green-600">{ride.amount} ETH</div>
+                      <div className="text-xs text-gray-400">≈ NT${toNTD(ride.amount)}</div>
+                    </div>
                   </div>
+                  <div className="space-y-2 text-xs text-gray-700 mb-3">
+                    <div className="flex items-start space-x-2"><div className="w-1.5 h-1.5 bg-black rounded-full mt-1 flex-shrink-0"></div><span className="break-words">{ride.pickup}</span></div>
+                    <div className="flex items-start space-x-2"><div className="w-1.5 h-1.5 bg-gray-400 mt-1 flex-shrink-0"></div><span className="break-words">{ride.dropoff}</span></div>
+                    {ride.isCoarse && <div className="text-[10px] text-gray-400">約略區域，接單後才會取得精確位置</div>}
+                  </div>
+                  <div className="flex items-center justify-between text-[10px] text-gray-400 mb-2">
+                    <span>乘客評價</span>
+                    {renderReputation(ride.passenger, 'passengers')}
+                  </div>
+                  <div className="grid grid-cols-3 gap-2 text-center text-[10px] text-gray-500 bg-gray-50 rounded-lg py-1.5 mb-3">
+                    <div><div className="font-bold text-sm text-gray-800">{ride.pickupDistance !== null ? formatDistance(ride.pickupDistance) : '—'}</div>距上車點</div>
+                    <div><div className="font-bold text-sm text-gray-800">{ride.tripDistance !== null ? formatDistance(ride.tripDistance) : '—'}</div>行程距離</div>
+                    <div><div className="font-bold text-sm text-gray-800">{ride.farePerKm !== null ? `NT$${Math.round(ride.farePerKm)}` : '—'}</div>每公里</div>
+                  </div>
+                  <button 
+                    onClick={(e) => { e.stopPropagation(); handleAcceptRide(ride.id); }} 
+                    disabled={loading || pendingRideIds.has(ride.id)} 
+                    className="w-full bg-black text-white py-2 rounded-lg font-bold shadow hover:opacity-90 disabled:opacity-50 text-sm"
+                  >
+                    {loading ? '處理中...' : pendingRideIds.has(ride.id) ? '接單確認中...' : '接單'}
+                  </button>
                 </div>
-                <div className="space-y-2 text-xs text-gray-700 mb-3">
-                  <div className="flex items-start space-x-2"><div className="w-1.5 h-1.5 bg-black rounded-full mt-1 flex-shrink-0"></div><span className="break-words">{ride.pickup}</span></div>
-                  <div className="flex items-start space-x-2"><div className="w-1.5 h-1.5 bg-gray-400 mt-1 flex-shrink-0"></div><span className="break-words">{ride.dropoff}</span></div>
-                </div>
-                <button 
-                  onClick={(e) => { e.stopPropagation(); handleAcceptRide(ride.id); }} 
-                  disabled={loading} 
-                  className="w-full bg-black text-white py-2 rounded-lg font-bold shadow hover:opacity-90 disabled:opacity-50 text-sm"
-                >
-                  {loading ? '處理中...' : '接單'}
-                </button>
-              </div>
-            ))
+              );
+            })
           )}
         </div>
       </div>
     );
   };
 
+  // 評價摘要：★ 平均 (筆數) 與近期趨勢
+  // role: 'drivers' | 'passengers'
+  const renderReputation = (address, role = 'drivers') => (
+    renderReputationSummary(address ? reputations[role][address.toLowerCase()] : null)
+  );
+
+  const renderReputationSummary = (reputation) => {
+    if (!reputation || reputation.count === 0) {
+      return <div className="flex items-center space-x-1 text-gray-400 text-xs"><Star size={12} /><span>尚無評價</span></div>;
+    }
+    return (
+      <div className="flex items-center space-x-1 text-gray-500 text-xs">
+        <Star size={12} fill="currentColor" className="text-yellow-500" />
+        <span className="font-bold text-gray-700">{reputation.average.toFixed(1)}</span>
+        <span>({reputation.count})</span>
+        {reputation.trend === 'up' && <span className="flex items-center text-green-600" title={`近期平均 ${reputation.recentAverage.toFixed(1)}`}><TrendingUp size={12} className="mr-0.5"/>近期上升</span>}
+        {reputation.trend === 'down' && <span className="flex items-center text-red-500" title={`近期平均 ${reputation.recentAverage.toFixed(1)}`}><TrendingDown size={12} className="mr-0.5"/>近期下降</span>}
+      </div>
+    );
+  };
+
+  // 預估到達時間與進度條
+  const renderEta = (isDriver) => {
+    if (!eta) {
+      return <div className="mb-6 text-sm text-gray-400">{isDriver ? '等待 GPS 定位以估算到達時間…' : '等待司機位置以估算到達時間…'}</div>;
+    }
+    const enRoute = appState === 'DRIVER_EN_ROUTE';
+    const minutes = Math.max(1, Math.round(eta.duration / 60));
+
+    return (
+      <div className="mb-6">
+        {driverNearby && (
+          <div className="bg-green-50 border border-green-200 text-green-800 rounded-lg p-3 mb-3 text-sm font-bold flex items-center"><MapPin size={16} className="mr-2"/>司機即將抵達，請到上車點準備</div>
+        )}
+        <div className="flex items-baseline justify-between mb-2">
+          <div>
+            <span className="text-3xl font-bold">{minutes}</span>
+            <span className="text-sm text-gray-500 ml-1">分鐘{enRoute ? (isDriver ? '抵達上車點' : '後抵達') : '抵達目的地'}</span>
+          </div>
+          <div className="text-xs text-gray-500 text-right">
+            <div>剩餘 {formatDistance(eta.distance)}</div>
+            <div>平均 {(eta.speed * 3.6).toFixed(0)} km/h</div>
+          </div>
+        </div>
+        <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+          <div className={`h-full rounded-full transition-all duration-500 ${enRoute ? 'bg-blue-500' : 'bg-green-500'}`} style={{ width: `${Math.round(eta.progress * 100)}%` }}></div>
+        </div>
+      </div>
+    );
+  };
+
+  // 目前匯率、來源與報價時間 (車資以新台幣固定，ETH 金額依此匯率換算)
+  const renderRateFreshness = () => {
+    const stale = isRateStale(ethQuote, now);
+    const sourceLabel = RATE_SOURCE_LABELS[ethQuote.source] || ethQuote.source;
+    const ageMinutes = ethQuote.updatedAt === null ? null : Math.max(0, Math.floor((now - ethQuote.updatedAt) / 60000));
+    const ageText = ageMinutes === null ? '未連線即時報價'
+      : ageMinutes < 1 ? '剛剛更新'
+      : ageMinutes < 60 ? `${ageMinutes} 分鐘前更新`
+      : `${Math.floor(ageMinutes / 60)} 小時前更新`;
+
+    return (
+      <div className={`text-[10px] flex items-center justify-between ${stale ? 'text-orange-500' : 'text-gray-400'}`} title={ethQuote.fetchedAt ? `上次查詢：${new Date(ethQuote.fetchedAt).toLocaleString()}` : undefined}>
+        <span>1 ETH ≈ NT${Math.round(ethRate).toLocaleString()}（{sourceLabel}）</span>
+        <span className="flex items-center">
+          {stale ? <AlertTriangle size={10} className="mr-0.5"/> : <Clock size={10} className="mr-0.5"/>}
+          {ageText}{stale ? '，匯率可能已過時' : ''}
+        </span>
+      </div>
+    );
+  };
+
+  // 位置分享的連線狀態與最後更新時間
+  const renderLocationIndicator = (isDriver) => {
+    const stale = driverLocationAge === null || driverLocationAge > LOCATION_STALE_AFTER;
+    const link = {
+      online: { text: '即時中繼已連線', className: 'text-green-600' },
+      connecting: { text: '中繼重新連線中… (暫以同瀏覽器分頁同步)', className: 'text-orange-500' },
+      local: { text: '僅同一瀏覽器的分頁同步', className: 'text-gray-400' }
+    }[locationStatus] || { text: locationStatus, className: 'text-gray-400' };
+    const ageText = driverLocationAge === null
+      ? (isDriver ? '等待 GPS 定位…' : '尚未收到司機位置')
+      : driverLocationAge < 5000 ? '剛剛更新' : `${Math.round(driverLocationAge / 1000)} 秒前更新`;
+
+    return (
+      <div className="mb-6 text-xs space-y-1">
+        <div className="flex items-center justify-between">
+          <span className="text-gray-500 flex items-center"><MapPin size={12} className="mr-1"/>{isDriver ? '我的位置分享' : '司機位置'}</span>
+          <span className={stale ? 'text-orange-500 font-bold' : 'text-gray-500'}>{ageText}{stale && driverLocationAge !== null ? ' (可能已過時)' : ''}</span>
+        </div>
+        <div className={`text-[10px] text-right ${link.className}`}>{link.text}</div>
+        {!isDriver && driverLocationAge !== null && (
+          <div className="text-[10px] text-right text-green-600 flex items-center justify-end"><ShieldCheck size={10} className="mr-0.5"/>已驗證司機錢包簽章</div>
+        )}
+        {!isDriver && rejectedLocation && (
+          <div className="text-[10px] text-right text-red-500">已拒絕一筆可疑位置：{rejectedLocation}</div>
+        )}
+        {isDriver && locationAuthError && (
+          <div className="flex items-center justify-between bg-red-50 text-red-600 rounded p-2">
+            <span>{locationAuthError}，乘客將看不到您的位置</span>
+            <button onClick={() => setLocationAuthAttempt(n => n + 1)} className="font-bold underline ml-2 flex-shrink-0">重新授權</button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // 行程的上車點與目的地 (只公開約略位置的訂單另顯示精確位置是否已交換)
+  const renderRideLocations = (isDriver) => {
+    if (!myCurrentRide) return null;
+    let note = null;
+    if (myCurrentRide.isCoarse) {
+      note = <div className="text-orange-600">{isDriver ? '等待乘客傳送精確上車點，目前顯示約略區域' : '此裝置沒有本訂單的精確位置，司機只看得到約略區域'}</div>;
+    } else if (myCurrentRide.privacyKey) {
+      note = <div className="flex items-center text-green-600"><ShieldCheck size={12} className="mr-1"/>{isDriver ? '已取得乘客加密傳送的精確位置' : '精確位置只加密傳送給接單司機'}</div>;
+    }
+    return (
+      <div className="mb-6 space-y-1.5 text-xs text-gray-700">
+        <div className="flex items-center"><MapPin size={12} className="mr-1 flex-shrink-0"/>{myCurrentRide.pickup}</div>
+        <div className="flex items-center"><Navigation size={12} className="mr-1 flex-shrink-0"/>{myCurrentRide.dropoff}</div>
+        {note && <div className="text-[10px]">{note}</div>}
+      </div>
+    );
+  };
+
   const renderActiveRideView = () => {
     const isDriver = role === 'driver';
     const title = appState === 'DRIVER_EN_ROUTE' ? (isDriver ? '前往接送' : '司機趕來中') : '行程進行中';
     const canCancel = appState === 'DRIVER_EN_ROUTE';
+    const ridePending = pendingRideIds.has(myCurrentRide?.id);
 
     return (
       <div className="flex-grow flex flex-col h-full bg-white">
         <div className="bg-black text-white p-4 text-center font-bold flex justify-between items-center relative">
           <div className="w-full text-center">{title}</div>
           {canCancel && (
-            <button onClick={() => handleCancelRide(null)} disabled={loading} className="absolute right-4 text-xs bg-red-600 px-2 py-1 rounded hover:bg-red-700 transition">取消</button>
+            <button onClick={() => handleCancelRide(null)} disabled={loading || ridePending} className="absolute right-4 text-xs bg-red-600 px-2 py-1 rounded hover:bg-red-700 transition">取消</button>
           )}
         </div>
         <div className="p-6 flex-grow flex flex-col">
@@ -900,18 +2019,21 @@ const NTUberApp = () => {
             <div className="w-12 h-12 bg-gray-200 rounded-full flex items-center justify-center border-2 border-white shadow"><User size={24} className="text-gray-500" /></div>
             <div>
               <h3 className="font-bold text-lg">{isDriver ? '乘客' : '司機'}</h3>
-              <div className="flex items-center space-x-1 text-gray-500 text-xs"><Star size={12} fill="currentColor" className="text-yellow-500" /><span>4.9</span></div>
+              {isDriver ? renderReputation(myCurrentRide?.passenger, 'passengers') : renderReputation(myCurrentRide?.driver)}
               <div className="text-[10px] text-gray-400 mt-1">ID #{myCurrentRide?.id}</div>
             </div>
           </div>
+          {renderEta(isDriver)}
+          {renderLocationIndicator(isDriver)}
+          {renderRideLocations(isDriver)}
           <div className="mt-auto">
              {isDriver ? (
                appState === 'DRIVER_EN_ROUTE' ? (
-                  <button onClick={handleStartRide} disabled={loading} className="w-full bg-black text-white py-4 rounded-xl font-bold shadow-lg hover:scale-[1.01] transition">確認接到乘客</button>
+                  <button onClick={handleStartRide} disabled={loading || ridePending} className="w-full bg-black text-white py-4 rounded-xl font-bold shadow-lg hover:scale-[1.01] transition disabled:opacity-50">{ridePending ? '確認中...' : '確認接到乘客'}</button>
                ) : (<div className="w-full bg-green-50 border border-green-200 text-green-800 py-4 rounded-xl font-bold text-center">行程進行中...</div>)
             ) : (
                appState === 'IN_TRIP' ? (
-                 <button onClick={handleCompleteRide} disabled={loading} className="w-full bg-green-600 text-white py-4 rounded-xl font-bold shadow-lg hover:bg-green-700 transition">{loading ? '確認中...' : '確認到達 (付款)'}</button>
+                 <button onClick={handleCompleteRide} disabled={loading || ridePending} className="w-full bg-green-600 text-white py-4 rounded-xl font-bold shadow-lg hover:bg-green-700 transition disabled:opacity-50">{loading || ridePending ? '確認中...' : '確認到達 (付款)'}</button>
                ) : (<button disabled className="w-full bg-gray-100 text-gray-400 py-4 rounded-xl font-bold cursor-not-allowed">等待司機...</button>)
             )}
           </div>
@@ -920,22 +2042,32 @@ const NTUberApp = () => {
     );
   };
 
-  const renderRatingView = () => (
-    <div className="flex-grow flex flex-col items-center justify-center p-8 bg-white z-50">
-      <div className="w-20 h-20 bg-green-100 rounded-full flex items-center justify-center mb-6 text-green-600"><ShieldCheck size={40} /></div>
-      <h2 className="text-2xl font-bold mb-2">行程完成！</h2>
-      <p className="text-gray-500 mb-8 text-center text-sm">資金已轉移。請評分。</p>
-      <div className="flex space-x-3 mb-10">{[1, 2, 3, 4, 5].map(star => (<button key={star} onClick={() => handleRateDriver(star)} className="transform hover:scale-110 transition"><Star size={32} className="text-yellow-400 hover:fill-current" /></button>))}</div>
-      {/* 修改：跳過按鈕，觸發 handleSkipRating */}
-      <button onClick={handleSkipRating} className="text-gray-400 underline text-sm">跳過</button>
-    </div>
-  );
+  const renderRatingView = () => {
+    // 司機評價乘客：完成的行程，或接單後被取消 (例如乘客未出現)
+    const ratingPassenger = role === 'driver';
+    const cancelled = myCurrentRide?.status === 'Cancelled';
+    const message = ratingPassenger
+      ? (cancelled ? '若乘客未出現或有不當行為，請留下評價供其他司機參考。' : '車資已撥入您的錢包。請為乘客評分。')
+      : '資金已轉移。請評分。';
+    const ratingPending = pendingRideIds.has(myCurrentRide?.id);
+    return (
+      <div className="flex-grow flex flex-col items-center justify-center p-8 bg-white z-50">
+        <div className="w-20 h-20 bg-green-100 rounded-full flex items-center justify-center mb-6 text-green-600"><ShieldCheck size={40} /></div>
+        <h2 className="text-2xl font-bold mb-2">{cancelled ? '行程已取消' : '行程完成！'}</h2>
+        <p className="text-gray-500 mb-8 text-center text-sm">{message}</p>
+        <div className="flex space-x-3 mb-10">{[1, 2, 3, 4, 5].map(star => (<button key={star} onClick={() => (ratingPassenger ? handleRatePassenger(star) : handleRateDriver(star))} disabled={ratingPending} className="transform hover:scale-110 transition disabled:opacity-50"><Star size={32} className="text-yellow-400 hover:fill-current" /></button>))}</div>
+        {ratingPending && <p className="text-xs text-gray-400 -mt-6 mb-6 flex items-center"><Loader2 size={12} className="animate-spin mr-1"/> 評價上鏈中...</p>}
+        {/* 修改：跳過按鈕，觸發 handleSkipRating */}
+        <button onClick={handleSkipRating} className="text-gray-400 underline text-sm">跳過</button>
+      </div>
+    );
+  };
 
   return (
     <div className="font-sans text-gray-900 bg-gray-100 h-screen w-full flex flex-col md:flex-row overflow-hidden">
       {/* 左側 UI 面板 (固定寬度 400px 或 35%) */}
       <div className="w-full md:w-[400px] lg:w-[35%] md:min-w-[320px] md:max-w-[450px] flex-shrink-0 bg-white shadow-xl z-20 flex flex-col relative h-[60%] md:h-full order-2 md:order-1 rounded-t-2xl md:rounded-none">
-        <Header />
+        <Header reputation={walletAddress ? reputations.drivers[walletAddress.toLowerCase()] ?? null : null} />
         <div className="flex-grow overflow-hidden relative flex flex-col">
             {role === 'passenger' ? renderPassengerView() : renderDriverView()}
         </div>
@@ -951,6 +2083,10 @@ const NTUberApp = () => {
           onMapClick={handleMapClick} 
           driverCoords={driverCoords}
           userLocation={userLocation}
+          routeGeometry={mapRoute?.geometry}
+          demandZones={browsingPool ? demandZones : null}
+          poolClusters={browsingPool ? poolClusters : null}
+          onSelectRide={setPreviewRide}
         />
         <button 
           onClick={handleLocateMe}
@@ -961,6 +2097,9 @@ const NTUberApp = () => {
         </button>
       </div>
 
+      {renderTransactionTray()}
+      {renderWalletPicker()}
+      {renderToasts()}
       {loading && <LoadingOverlay />}
     </div>
   );
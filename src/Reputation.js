@@ -0,0 +1,108 @@
+import { getEventLog } from './EventLog';
+
+/**
+ * Reputation - 由評價事件彙整的司機 (DriverRated) 與乘客 (PassengerRated) 評價
+ * 事件來自共用的 EventLog (歷史查詢、即時訂閱與快取都由它處理)，這裡只負責彙整。
+ *
+ * 每個地址的評價摘要：
+ *   { count, average, recentAverage, trend }  trend 為 'up' | 'down' | 'steady' | null (評價數不足)
+ */
+
+const DEFAULT_OPTIONS = {
+  trendWindow: 5 // 以最近幾筆評價與更早的評價比較趨勢
+};
+
+const TREND_THRESHOLD = 0.2; // 平均相差超過此值才算上升/下降
+
+// 事件名稱 -> 被評價者的角色
+const RATING_EVENTS = { DriverRated: 'drivers', PassengerRated: 'passengers' };
+
+const average = (ratings) => ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length;
+
+// ratings 依區塊由舊到新
+export const summarizeRatings = (ratings, trendWindow = DEFAULT_OPTIONS.trendWindow) => {
+  if (ratings.length === 0) return { count: 0, average: null, recentAverage: null, trend: null };
+
+  const recent = ratings.slice(-trendWindow);
+  const earlier = ratings.slice(0, -trendWindow);
+  let trend = null;
+  if (earlier.length > 0) {
+    const delta = average(recent) - average(earlier);
+    trend = delta >= TREND_THRESHOLD ? 'up' : delta <= -TREND_THRESHOLD ? 'down' : 'steady';
+  }
+
+  return { count: ratings.length, average: average(ratings), recentAverage: average(recent), trend };
+};
+
+export class ReputationIndex {
+  constructor(backend, options = {}) {
+    this.log = getEventLog(backend);
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.ratings = { drivers: new Map(), passengers: new Map() }; // 小寫地址 -> [{ rating, blockNumber }]
+    this.listeners = [];
+    this.unsubscribe = null;
+  }
+
+  // --- 訂閱機制 ---
+  // callback 收到 { drivers: { [小寫地址]: 摘要 }, passengers: { ... } }
+  subscribe(callback) {
+    this.listeners.push(callback);
+    if (this.hasRatings()) callback(this.getAll());
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const all = this.getAll();
+    this.listeners.forEach(cb => cb(all));
+  }
+
+  hasRatings() {
+    return this.ratings.drivers.size > 0 || this.ratings.passengers.size > 0;
+  }
+
+  getAll() {
+    const all = { drivers: {}, passengers: {} };
+    Object.entries(this.ratings).forEach(([role, byAddress]) => {
+      byAddress.forEach((ratings, address) => {
+        all[role][address] = summarizeRatings(ratings, this.options.trendWindow);
+      });
+    });
+    return all;
+  }
+
+  // role: 'drivers' | 'passengers'
+  getReputation(address, role = 'drivers') {
+    return summarizeRatings(this.ratings[role].get(address?.toLowerCase()) || [], this.options.trendWindow);
+  }
+
+  // --- 生命週期 ---
+  async start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = this.log.subscribe(events => {
+      if (events.map(event => this.apply(event)).some(Boolean)) this.notify();
+    });
+    await this.log.start();
+  }
+
+  stop() {
+    if (!this.unsubscribe) return;
+    this.unsubscribe();
+    this.unsubscribe = null;
+    this.log.stop();
+  }
+
+  // 套用一筆事件，回傳是否有變動 (EventLog 已去重)
+  apply(event) {
+    const role = RATING_EVENTS[event.name];
+    if (!role) return false;
+
+    const address = event.args[0].toLowerCase();
+    const ratings = this.ratings[role].get(address) || [];
+    ratings.push({ rating: Number(event.args[1]), blockNumber: event.blockNumber });
+    ratings.sort((a, b) => a.blockNumber - b.blockNumber);
+    this.ratings[role].set(address, ratings);
+    return true;
+  }
+}
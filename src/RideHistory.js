@@ -0,0 +1,159 @@
+import { createIdbStore } from './idbStore';
+import { ACTIVE_STATUSES } from './backends/RideBackend';
+
+/**
+ * RideHistory - 「我的行程」的完整歷史
+ * 以 RideRequested(passenger) / RideAccepted(driver) 的 indexed 地址過濾事件找出相關的訂單編號，
+ * 只讀取這些訂單 (不再逐筆讀取鏈上所有訂單)，
+ * 結果存在 IndexedDB (以鏈 + 合約 + 地址為 key)，重新整理後立即顯示、離線也能瀏覽。
+ *
+ * 已查詢的區塊範圍記為 [oldestBlock, newestBlock]：
+ *   - refresh()  補查 newestBlock 之後的新事件，並重讀尚未結束的快取訂單
+ *   - loadMore() 往 oldestBlock 之前再找一頁，最早到 floorBlock
+ *     (合約部署區塊；未知時為第一次查詢時往回 lookback 個區塊)
+ */
+
+const store = createIdbStore('ntuber-history', 'rides');
+
+const DEFAULT_OPTIONS = {
+  pageSize: 10, // loadMore 每次至少找到的筆數
+  blockRange: 10000, // 單次 queryRideIds 的區塊數 (有地址過濾，回傳的事件很少)
+  lookback: 200000 // deployBlock 未知時最多往回查的區塊數
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// 狀態仍可能改變的訂單 (進行中，或已完成但尚未評價)
+const isUnsettled = (ride) => ACTIVE_STATUSES.includes(ride.status) || (ride.status === 'Completed' && !ride.isRated);
+
+export class RideHistory {
+  constructor(backend, address, options = {}) {
+    this.backend = backend;
+    this.address = address;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.cacheKey = `${backend.cacheKey}:${address.toLowerCase()}`;
+    this.rides = new Map();
+    this.floorBlock = null; // null 表示尚未查詢
+    this.oldestBlock = null;
+    this.newestBlock = null;
+  }
+
+  involves(ride) {
+    return sameAddress(ride.passenger, this.address) || sameAddress(ride.driver, this.address);
+  }
+
+  // 依編號由新到舊
+  getRides() {
+    return [...this.rides.values()].sort((a, b) => b.id - a.id);
+  }
+
+  get hasMore() {
+    return this.oldestBlock === null || this.oldestBlock > this.floorBlock;
+  }
+
+  // --- 快取 ---
+  async load() {
+    try {
+      const cached = await store.get(this.cacheKey);
+      if (cached) {
+        // 已由 merge() 併入的即時資料較新，不以快取覆蓋
+        cached.rides.forEach(ride => {
+          if (!this.rides.has(ride.id)) this.rides.set(ride.id, ride);
+        });
+        // 舊版快取記錄的是訂單編號範圍，沒有區塊範圍時重新查詢 (已快取的訂單仍保留)
+        if (cached.newestBlock !== undefined) {
+          this.floorBlock = cached.floorBlock;
+          this.oldestBlock = cached.oldestBlock;
+          this.newestBlock = cached.newestBlock;
+        }
+      }
+    } catch (err) {
+      console.error("讀取行程快取失敗:", err);
+    }
+    return this.getRides();
+  }
+
+  async save() {
+    try {
+      await store.set(this.cacheKey, {
+        rides: this.getRides(),
+        floorBlock: this.floorBlock,
+        oldestBlock: this.oldestBlock,
+        newestBlock: this.newestBlock
+      });
+    } catch (err) {
+      console.error("寫入行程快取失敗:", err);
+    }
+  }
+
+  // 併入即時訂單 (來自 RideIndexer)，回傳是否有變動
+  merge(rides) {
+    let changed = false;
+    rides.filter(ride => this.involves(ride)).forEach(ride => {
+      const cached = this.rides.get(ride.id);
+      if (
+        cached && cached.status === ride.status && cached.driver === ride.driver &&
+        cached.isRated === ride.isRated && cached.isPassengerRated === ride.isPassengerRated
+      ) return;
+      this.rides.set(ride.id, ride);
+      changed = true;
+    });
+    if (changed) this.save();
+    return changed;
+  }
+
+  // --- 查詢 ---
+  // 查詢區塊區間內相關的訂單編號，只讀取尚未快取的訂單；回傳新找到的筆數
+  async scan(fromBlock, toBlock) {
+    const ids = await this.backend.queryRideIds(this.address, fromBlock, toBlock);
+    const missing = ids.filter(id => !this.rides.has(id));
+    if (missing.length === 0) return 0;
+    const rides = await this.backend.getRides(missing);
+    rides.filter(ride => this.involves(ride)).forEach(ride => this.rides.set(ride.id, ride));
+    return missing.length;
+  }
+
+  async refresh() {
+    const latest = await this.backend.getBlockNumber();
+
+    if (this.newestBlock === null) {
+      // 第一次使用：從最新的區塊開始往回找一頁
+      const deployBlock = this.backend.deployBlock;
+      this.floorBlock = Math.max(0, deployBlock ?? latest - this.options.lookback);
+      this.newestBlock = latest;
+      this.oldestBlock = latest + 1;
+      await this.loadMore();
+      return this.getRides();
+    }
+
+    for (let from = this.newestBlock + 1; from <= latest; from += this.options.blockRange) {
+      await this.scan(from, Math.min(latest, from + this.options.blockRange - 1));
+    }
+    this.newestBlock = Math.max(this.newestBlock, latest);
+
+    const unsettled = this.getRides().filter(isUnsettled).map(ride => ride.id);
+    if (unsettled.length > 0) {
+      const rides = await this.backend.getRides(unsettled);
+      rides.forEach(ride => this.rides.set(ride.id, ride));
+    }
+
+    await this.save();
+    return this.getRides();
+  }
+
+  // 往更舊的區塊找，直到多找到 pageSize 筆或查到 floorBlock
+  async loadMore() {
+    if (this.oldestBlock === null) return this.refresh();
+
+    let found = 0;
+    while (this.oldestBlock > this.floorBlock && found < this.options.pageSize) {
+      const toBlock = this.oldestBlock - 1;
+      const fromBlock = Math.max(this.floorBlock, toBlock - this.options.blockRange + 1);
+      found += await this.scan(fromBlock, toBlock);
+      this.oldestBlock = fromBlock;
+    }
+
+    await this.save();
+    return this.getRides();
+  }
+}
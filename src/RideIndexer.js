@@ -0,0 +1,191 @@
+/**
+ * RideIndexer - 事件驅動的訂單索引
+ * 取代「每個事件都重抓最近 20 筆」的做法：
+ *   1. 啟動時以批次讀取載入最近的訂單，並記下當時的區塊高度
+ *   2. 即時事件只更新受影響的那一筆訂單 (大多不需要任何 RPC)
+ *   3. 定期以區塊區間查詢歷史事件補齊遺漏 (例如分頁休眠、WebSocket 斷線)
+ * 事件以 transactionHash + logIndex 去重，狀態只會往前推進，
+ * 因此即時事件與區間查詢重疊時不會造成狀態倒退。
+ */
+
+const DEFAULT_OPTIONS = {
+  initialWindow: 20, // 啟動時載入的最近訂單數
+  blockRange: 2000, // 單次 queryEvents 的區塊數 (多數 RPC 對 eth_getLogs 有區間上限)
+  pollInterval: 15000 // 區間補查的間隔 (ms)
+};
+
+// 狀態推進順序：Completed 與 Cancelled 皆為終態
+const STATUS_RANK = { Created: 0, Accepted: 1, Ongoing: 2, Completed: 3, Cancelled: 3 };
+
+const EVENT_STATUS = {
+  RideAccepted: 'Accepted',
+  RideStarted: 'Ongoing',
+  RideCompleted: 'Completed',
+  RideCancelled: 'Cancelled'
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+export class RideIndexer {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.rides = new Map(); // rideId -> ride
+    this.seen = new Set(); // 已套用的事件 `${transactionHash}:${logIndex}`
+    this.blockTimes = new Map(); // blockNumber -> 區塊時間 (秒)
+    this.lastBlock = 0; // 已補查到的區塊高度
+    this.listeners = [];
+    this.unsubscribe = null;
+    this.pollTimer = null;
+    this.syncing = null;
+    this.queue = Promise.resolve(); // 事件依序套用
+  }
+
+  // --- 訂閱機制 ---
+  subscribe(callback) {
+    this.listeners.push(callback);
+    if (this.rides.size > 0) callback(this.getRides());
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const rides = this.getRides();
+    this.listeners.forEach(cb => cb(rides));
+  }
+
+  // 依編號由新到舊
+  getRides() {
+    return [...this.rides.values()].sort((a, b) => b.id - a.id);
+  }
+
+  // --- 生命週期 ---
+  async start() {
+    const blockNumber = await this.backend.getBlockNumber();
+    const count = await this.backend.getRideCount();
+    const start = Math.max(1, count - this.options.initialWindow + 1);
+    const ids = [];
+    for (let id = count; id >= start; id--) ids.push(id);
+
+    const rides = await this.backend.getRides(ids);
+    rides.forEach(ride => this.rides.set(ride.id, ride));
+    this.lastBlock = blockNumber;
+    this.notify();
+
+    this.unsubscribe = this.backend.subscribe(event => this.enqueue(event));
+    this.pollTimer = setInterval(() => this.sync(), this.options.pollInterval);
+    // 初次載入到訂閱之間發出的事件不會即時收到，立即補查一次 (不等第一次輪詢)
+    this.sync();
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.unsubscribe = null;
+    this.pollTimer = null;
+  }
+
+  // 從 lastBlock 之後以固定區間補查事件，直到追上最新區塊
+  sync() {
+    if (this.syncing) return this.syncing;
+    this.syncing = (async () => {
+      try {
+        const latest = await this.backend.getBlockNumber();
+        while (this.lastBlock < latest) {
+          const fromBlock = this.lastBlock + 1;
+          const toBlock = Math.min(latest, fromBlock + this.options.blockRange - 1);
+          const events = await this.backend.queryEvents(fromBlock, toBlock);
+          events.forEach(event => this.enqueue(event));
+          await this.queue;
+          this.lastBlock = toBlock;
+        }
+      } catch (err) {
+        console.error("事件補查失敗:", err);
+      } finally {
+        this.syncing = null;
+      }
+    })();
+    return this.syncing;
+  }
+
+  enqueue(event) {
+    this.queue = this.queue
+      .then(() => this.apply(event))
+      .catch(err => console.error(`套用事件 ${event.name} 失敗:`, err));
+    return this.queue;
+  }
+
+  // 取得單筆訂單 (不在索引中則向後端讀取，例如舊訂單被接單)
+  async fetchRide(rideId) {
+    const [ride] = await this.backend.getRides([rideId]);
+    this.rides.set(ride.id, ride);
+    return ride;
+  }
+
+  // 事件的區塊時間 (秒)，讀取失敗或未知時回傳 null
+  async blockTime(blockNumber) {
+    if (!this.blockTimes.has(blockNumber)) {
+      try {
+        this.blockTimes.set(blockNumber, await this.backend.getBlockTimestamp(blockNumber));
+      } catch (err) {
+        console.error("讀取區塊時間失敗:", err);
+        return null;
+      }
+    }
+    return this.blockTimes.get(blockNumber);
+  }
+
+  // --- 事件套用 ---
+  async apply(event) {
+    const key = `${event.transactionHash}:${event.logIndex}`;
+    if (this.seen.has(key)) return;
+    this.seen.add(key);
+
+    if (event.name === 'RideRequested') {
+      // 事件只帶上車點，完整訂單 (含目的地) 需讀取一次
+      await this.fetchRide(Number(event.args[0]));
+    } else if (EVENT_STATUS[event.name]) {
+      const rideId = Number(event.args[0]);
+      const accepted = event.name === 'RideAccepted';
+      // 接單時間取自區塊時間，補查到的舊事件也正確 (供動態加成計算接單等待時間)
+      const acceptedAt = accepted ? await this.blockTime(event.blockNumber) : undefined;
+      const ride = this.rides.get(rideId);
+      if (!ride) {
+        const fetched = await this.fetchRide(rideId);
+        if (accepted) this.rides.set(rideId, { ...fetched, acceptedAt });
+      } else {
+        const status = EVENT_STATUS[event.name];
+        if (STATUS_RANK[status] <= STATUS_RANK[ride.status]) return;
+        this.rides.set(rideId, {
+          ...ride,
+          status,
+          driver: accepted ? event.args[1] : ride.driver,
+          acceptedAt: accepted ? acceptedAt : ride.acceptedAt
+        });
+      }
+    } else if (event.name === 'DriverRated') {
+      // DriverRated 不帶 rideId：重新讀取該司機尚未評價的已完成訂單
+      const driver = event.args[0];
+      const pending = [...this.rides.values()].filter(r =>
+        r.status === 'Completed' && !r.isRated && sameAddress(r.driver, driver)
+      );
+      if (pending.length === 0) return;
+      const updated = await this.backend.getRides(pending.map(r => r.id));
+      updated.forEach(ride => this.rides.set(ride.id, ride));
+    } else if (event.name === 'PassengerRated') {
+      // 同上：重新讀取該乘客已結束、司機尚未評價的訂單
+      const passenger = event.args[0];
+      const pending = [...this.rides.values()].filter(r =>
+        ['Completed', 'Cancelled'].includes(r.status) && r.driver && !r.isPassengerRated && sameAddress(r.passenger, passenger)
+      );
+      if (pending.length === 0) return;
+      const updated = await this.backend.getRides(pending.map(r => r.id));
+      updated.forEach(ride => this.rides.set(ride.id, ride));
+    } else {
+      return;
+    }
+
+    this.notify();
+  }
+}
@@ -1,78 +1,288 @@
 /**
  * RideNetwork - 模擬 P2P 網路/區塊鏈層
  * 這是一個單例 (Singleton) 物件，用於在乘客與司機組件之間共享狀態。
- * 在真實的 DApp 中，這會被 Smart Contract 或 IPFS 替代。
+ * 行為對齊 NTUber 合約：
+ *   - 狀態機 Created → Accepted → Ongoing → Completed，Created/Accepted 可 Cancelled
+ *   - 呼叫者檢查 (只有指派的司機能開始行程、只有乘客能完成與評價司機、只有司機能評價乘客)
+ *   - 車資託管 (escrow)：發單時扣款，完成時撥給司機，取消時退款
+ *   - 事件名稱與 ABI 相同 (RideRequested, RideAccepted, ... DriverRated, PassengerRated)
+ * 金額一律以 wei (BigInt) 計算。
  */
-class RideNetwork {
+
+const RIDE_STATUS = {
+  CREATED: 'Created',
+  ACCEPTED: 'Accepted',
+  ONGOING: 'Ongoing',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled'
+};
+
+// 新地址首次出現時給予的測試資金 (100 ETH)
+const FAUCET_AMOUNT_WEI = 100n * 10n ** 18n;
+
+// 對應合約 revert，reason 欄位與 ethers 的 CALL_EXCEPTION 相同
+export class RideNetworkError extends Error {
+  constructor(reason) {
+    super(`execution reverted: "${reason}"`);
+    this.name = 'RideNetworkError';
+    this.code = 'CALL_EXCEPTION';
+    this.reason = reason;
+  }
+}
+
+// 仿 Solidity 的 require：條件不成立即 revert
+const require = (condition, reason) => {
+  if (!condition) throw new RideNetworkError(reason);
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const randomHash = () => '0x' + Array.from(crypto.getRandomValues(new Uint8Array(32)))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('');
+
+export class RideNetwork {
   constructor() {
-    this.rides = []; // 儲存所有訂單 (模擬區塊鏈帳本)
+    this.rides = []; // 儲存所有訂單 (模擬區塊鏈帳本)，rides[i].id === i + 1
+    this.balances = {}; // 小寫地址 -> wei
+    this.escrow = 0n; // 合約目前託管的總金額
+    this.logs = []; // 所有已發出的事件 (依區塊順序)
+    this.blockNumber = 0;
     this.listeners = []; // 訂閱者 (React Components)
-    this.rideCounter = 100;
   }
 
   // --- 訂閱機制 (Observer Pattern) ---
+  // callback 會收到每一筆事件 { name, args, blockNumber, transactionHash, logIndex }
   subscribe(callback) {
     this.listeners.push(callback);
-    // 訂閱時立即回傳當前狀態
-    callback([...this.rides]);
-    
+
     // 回傳取消訂閱函數
     return () => {
       this.listeners = this.listeners.filter(cb => cb !== callback);
     };
   }
 
-  notify() {
-    this.listeners.forEach(cb => cb([...this.rides]));
+  notify(event) {
+    this.listeners.forEach(cb => cb(event));
   }
 
-  // --- 核心操作 ---
-
-  // 1. 乘客發布訂單 (Broadcast)
-  createRide(rideData) {
-    const newRide = {
-      ...rideData,
-      id: this.rideCounter++,
-      status: 'Created',
-      timestamp: Date.now()
+  // --- 帳本快照 (供持久化與跨分頁同步) ---
+  snapshot() {
+    return {
+      rides: this.rides,
+      balances: this.balances,
+      escrow: this.escrow,
+      logs: this.logs,
+      blockNumber: this.blockNumber
     };
-    this.rides.push(newRide);
-    this.notify();
-    return newRide;
   }
 
-  // 2. 司機接單 (Accept)
-  acceptRide(rideId, driverAddress) {
-    const rideIndex = this.rides.findIndex(r => r.id === rideId);
-    if (rideIndex > -1 && this.rides[rideIndex].status === 'Created') {
-      this.rides[rideIndex] = {
-        ...this.rides[rideIndex],
-        status: 'Accepted',
-        driver: driverAddress
-      };
-      this.notify();
-      return this.rides[rideIndex];
+  restore({ rides, balances, escrow, logs, blockNumber }) {
+    this.rides = rides;
+    this.balances = balances;
+    this.escrow = escrow;
+    this.logs = logs;
+    this.blockNumber = blockNumber;
+  }
+
+  // --- 帳戶 ---
+  ensureAccount(address) {
+    const key = address.toLowerCase();
+    if (this.balances[key] === undefined) this.balances[key] = FAUCET_AMOUNT_WEI;
+    return this.balances[key];
+  }
+
+  getBalance(address) {
+    return this.balances[address.toLowerCase()] ?? 0n;
+  }
+
+  credit(address, amount) {
+    const key = address.toLowerCase();
+    this.balances[key] = this.getBalance(address) + amount;
+  }
+
+  // --- 交易執行 ---
+  // 每筆交易即為一個區塊；revert 時還原所有狀態 (包含新帳戶的初始餘額)，不發出事件
+  execute(from, operation) {
+    require(!!from, 'Missing sender');
+
+    // 訂單以新物件取代 (updateRide)、餘額為 bigint，淺層複製即可還原
+    const saved = { rides: [...this.rides], balances: { ...this.balances }, escrow: this.escrow };
+    const events = [];
+    const emit = (name, args) => events.push({ name, args });
+    try {
+      this.ensureAccount(from);
+      operation(emit);
+    } catch (err) {
+      Object.assign(this, saved);
+      throw err;
     }
-    return null;
+
+    const blockNumber = ++this.blockNumber;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const transactionHash = randomHash();
+    const logs = events.map((e, logIndex) => ({ ...e, blockNumber, timestamp, transactionHash, logIndex }));
+    this.logs.push(...logs);
+    logs.forEach(log => this.notify(log));
+
+    return { hash: transactionHash, blockNumber, from, status: 1, logs };
+  }
+
+  getRide(rideId) {
+    const ride = this.rides[Number(rideId) - 1];
+    require(!!ride, 'Invalid ride ID');
+    return ride;
   }
 
-  // 3. 更新狀態 (開始行程/完成行程/取消)
-  updateRideStatus(rideId, newStatus) {
-    const rideIndex = this.rides.findIndex(r => r.id === rideId);
-    if (rideIndex > -1) {
-      this.rides[rideIndex] = {
-        ...this.rides[rideIndex],
-        status: newStatus
+  updateRide(rideId, changes) {
+    const ride = this.getRide(rideId);
+    this.rides[ride.id - 1] = { ...ride, ...changes };
+    return this.rides[ride.id - 1];
+  }
+
+  // --- 核心操作 (對應合約函數) ---
+
+  // 1. 乘客發布訂單並託管車資 (Broadcast)
+  requestRide(from, pickupLocation, dropoffLocation, value) {
+    return this.execute(from, (emit) => {
+      require(value > 0n, 'Fare must be greater than 0');
+      require(this.getBalance(from) >= value, 'Insufficient balance');
+
+      this.credit(from, -value);
+      this.escrow += value;
+
+      const ride = {
+        id: this.rides.length + 1,
+        passenger: from,
+        driver: null,
+        pickupLocation,
+        dropoffLocation,
+        amount: value,
+        timestamp: Math.floor(Date.now() / 1000),
+        status: RIDE_STATUS.CREATED,
+        isRated: false,
+        rating: 0,
+        isPassengerRated: false,
+        passengerRating: 0
       };
-      this.notify();
-    }
+      this.rides.push(ride);
+      emit('RideRequested', [ride.id, from, value, pickupLocation]);
+    });
+  }
+
+  // 2. 司機接單 (Accept)
+  acceptRide(from, rideId) {
+    return this.execute(from, (emit) => {
+      const ride = this.getRide(rideId);
+      require(ride.status === RIDE_STATUS.CREATED, 'Ride is not available');
+      require(!sameAddress(ride.passenger, from), 'Passenger cannot accept own ride');
+
+      this.updateRide(ride.id, { status: RIDE_STATUS.ACCEPTED, driver: from });
+      emit('RideAccepted', [ride.id, from]);
+    });
+  }
+
+  // 3. 司機確認接到乘客
+  startRide(from, rideId) {
+    return this.execute(from, (emit) => {
+      const ride = this.getRide(rideId);
+      require(sameAddress(ride.driver, from), 'Only assigned driver can start');
+      require(ride.status === RIDE_STATUS.ACCEPTED, 'Ride is not accepted');
+
+      this.updateRide(ride.id, { status: RIDE_STATUS.ONGOING });
+      emit('RideStarted', [ride.id]);
+    });
+  }
+
+  // 4. 乘客確認到達，託管金額撥給司機
+  completeRide(from, rideId) {
+    return this.execute(from, (emit) => {
+      const ride = this.getRide(rideId);
+      require(sameAddress(ride.passenger, from), 'Only passenger can complete');
+      require(ride.status === RIDE_STATUS.ONGOING, 'Ride is not ongoing');
+
+      this.updateRide(ride.id, { status: RIDE_STATUS.COMPLETED });
+      this.escrow -= ride.amount;
+      this.credit(ride.driver, ride.amount);
+      emit('RideCompleted', [ride.id, ride.driver, ride.amount]);
+    });
+  }
+
+  // 5. 取消訂單並退款給乘客 (乘客：Created/Accepted；司機：Accepted)
+  cancelRide(from, rideId) {
+    return this.execute(from, (emit) => {
+      const ride = this.getRide(rideId);
+      require(
+        ride.status === RIDE_STATUS.CREATED || ride.status === RIDE_STATUS.ACCEPTED,
+        'Ride cannot be cancelled'
+      );
+      require(
+        sameAddress(ride.passenger, from) || sameAddress(ride.driver, from),
+        'Not authorized to cancel'
+      );
+
+      this.updateRide(ride.id, { status: RIDE_STATUS.CANCELLED });
+      this.escrow -= ride.amount;
+      this.credit(ride.passenger, ride.amount);
+      emit('RideCancelled', [ride.id, from]);
+    });
+  }
+
+  // 6. 乘客評價司機 (每筆訂單限一次)
+  rateDriver(from, rideId, rating) {
+    return this.execute(from, (emit) => {
+      const ride = this.getRide(rideId);
+      require(sameAddress(ride.passenger, from), 'Only passenger can rate');
+      require(ride.status === RIDE_STATUS.COMPLETED, 'Ride not completed');
+      require(!ride.isRated, 'Already rated');
+      require(Number.isInteger(rating) && rating >= 1 && rating <= 5, 'Rating must be 1-5');
+
+      this.updateRide(ride.id, { isRated: true, rating });
+      emit('DriverRated', [ride.driver, rating]);
+    });
+  }
+
+  // 7. 司機評價乘客 (每筆訂單限一次)：行程完成，或接單後被取消 (例如乘客未出現)
+  ratePassenger(from, rideId, rating) {
+    return this.execute(from, (emit) => {
+      const ride = this.getRide(rideId);
+      require(sameAddress(ride.driver, from), 'Only driver can rate passenger');
+      require(
+        ride.status === RIDE_STATUS.COMPLETED || ride.status === RIDE_STATUS.CANCELLED,
+        'Ride not finished'
+      );
+      require(!ride.isPassengerRated, 'Passenger already rated');
+      require(Number.isInteger(rating) && rating >= 1 && rating <= 5, 'Rating must be 1-5');
+
+      this.updateRide(ride.id, { isPassengerRated: true, passengerRating: rating });
+      emit('PassengerRated', [ride.passenger, rating]);
+    });
+  }
+
+  // --- 查詢 (對應 view 函數) ---
+  rideCount() {
+    return this.rides.length;
+  }
+
+  getRideDetails(rideId) {
+    return { ...this.getRide(rideId) };
+  }
+
+  // 對應 eth_getLogs：區間內 (含兩端) 的事件
+  getLogs(fromBlock, toBlock) {
+    return this.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+  }
+
+  // 對應區塊的 timestamp (秒)；每個區塊至少有一筆事件，舊帳本的事件沒有時間則回傳 null
+  getBlockTimestamp(blockNumber) {
+    return this.logs.find(log => log.blockNumber === blockNumber)?.timestamp ?? null;
   }
 
   // 取得特定使用者的當前活躍訂單
   getActiveRideForUser(address) {
-    return this.rides.find(r => 
-      (r.passenger === address || r.driver === address) && 
-      ['Created', 'Accepted', 'Ongoing'].includes(r.status)
+    return this.rides.find(r =>
+      (sameAddress(r.passenger, address) || sameAddress(r.driver, address)) &&
+      [RIDE_STATUS.CREATED, RIDE_STATUS.ACCEPTED, RIDE_STATUS.ONGOING].includes(r.status)
     );
   }
 }
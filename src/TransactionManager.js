@@ -0,0 +1,295 @@
+/**
+ * TransactionManager - 集中處理寫入交易 (送出 → 等待確認)
+ * 送出後立即把交易雜湊記在 localStorage (以鏈 + 合約為 key)，UI 不需等待確認；
+ * 重新整理後讀回仍在等待的交易，以輪詢收據的方式繼續追蹤。
+ *
+ * 每筆交易記錄：
+ *   { hash, action, label, rideId, from, nonce, createdAt, status, replacements, cancelledBy, minedHash, error }
+ *   status: 'pending' | 'confirmed' | 'failed' (revert) | 'cancelled' (已以取消交易取代) | 'dropped' (nonce 被其他交易用掉)
+ * 加速與取消以相同 nonce、較高手續費送出取代交易，雜湊記在 replacements，任一筆被打包即結束。
+ * 錢包自行加速的交易雜湊不在記錄中：nonce 被用掉時先查訂單狀態，確認操作沒有生效才視為 dropped。
+ */
+
+export const ACTION_LABELS = {
+  requestRide: '叫車',
+  acceptRide: '接單',
+  startRide: '開始行程',
+  completeRide: '完成行程',
+  cancelRide: '取消訂單',
+  rateDriver: '評價司機',
+  ratePassenger: '評價乘客'
+};
+
+const STORAGE_PREFIX = 'ntuber_transactions_';
+
+const DEFAULT_OPTIONS = {
+  pollInterval: 4000, // 輪詢收據的間隔 (ms)
+  confirmedTtl: 8000, // 已確認的交易在清單中保留多久 (ms)；失敗的交易需手動關閉
+  requestLookback: 1000 // 查詢叫車事件時回溯的區塊數 (叫車交易沒有訂單編號，只能從事件找)
+};
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// 各操作生效後的訂單狀態 (ride 為 normalizeRide 的格式)
+const ACTION_APPLIED = {
+  acceptRide: (ride, from) => sameAddress(ride.driver, from) && ride.status !== 'Created',
+  startRide: (ride) => ride.status === 'Ongoing' || ride.status === 'Completed',
+  completeRide: (ride) => ride.status === 'Completed',
+  cancelRide: (ride) => ride.status === 'Cancelled',
+  rateDriver: (ride) => ride.isRated,
+  ratePassenger: (ride) => ride.isPassengerRated
+};
+
+export class TransactionError extends Error {
+  constructor(record) {
+    const reasons = {
+      failed: '交易執行失敗 (revert)',
+      cancelled: '交易已取消',
+      dropped: '交易已被錢包中的其他交易取代'
+    };
+    super(record.error || reasons[record.status]);
+    this.name = 'TransactionError';
+    this.record = record;
+  }
+}
+
+export class TransactionManager {
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.storageKey = `${STORAGE_PREFIX}${backend.cacheKey}`;
+    this.records = new Map(); // hash (第一筆) -> record
+    this.waiters = new Map(); // hash -> [{ resolve, reject }]
+    this.listeners = [];
+    this.pollTimer = null;
+    this.polling = null;
+  }
+
+  // --- 訂閱機制 ---
+  subscribe(callback) {
+    this.listeners.push(callback);
+    callback(this.getTransactions());
+    return () => {
+      this.listeners = this.listeners.filter(cb => cb !== callback);
+    };
+  }
+
+  notify() {
+    const transactions = this.getTransactions();
+    this.listeners.forEach(cb => cb(transactions));
+  }
+
+  // 由新到舊
+  getTransactions() {
+    return [...this.records.values()].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // --- 持久化 ---
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+      saved.forEach(record => this.records.set(record.hash, record));
+    } catch (err) {
+      console.error("讀取交易紀錄失敗:", err);
+    }
+  }
+
+  save() {
+    // 只保存仍需處理的交易 (等待中，或尚未關閉的失敗交易)
+    const kept = this.getTransactions().filter(record => record.status !== 'confirmed');
+    localStorage.setItem(this.storageKey, JSON.stringify(kept));
+  }
+
+  // --- 生命週期 ---
+  start() {
+    this.load();
+    this.notify();
+    this.pollTimer = setInterval(() => this.poll(), this.options.pollInterval);
+    this.poll();
+  }
+
+  stop() {
+    if (this.pollTimer) clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * 呼叫後端的寫入函數 (會跳出錢包確認)，送出後立即回傳記錄；
+   * 確認結果以 wait(hash) 取得。錢包拒絕或送出前的錯誤直接拋出。
+   */
+  async send(action, args = [], { rideId = null } = {}) {
+    const tx = await this.backend[action](...args);
+    const record = {
+      hash: tx.hash,
+      action,
+      label: ACTION_LABELS[action] || action,
+      rideId,
+      from: tx.from ?? null,
+      nonce: tx.nonce ?? null,
+      createdAt: Date.now(),
+      status: 'pending',
+      replacements: [],
+      cancelledBy: null, // 取消交易的雜湊
+      minedHash: null,
+      error: null
+    };
+    this.records.set(record.hash, record);
+    this.save();
+    this.notify();
+
+    // 本次工作階段直接等待；重新整理後改由 poll() 追蹤
+    tx.wait()
+      .then(receipt => this.settle(record.hash, receipt.status === 0 ? 'failed' : 'confirmed', tx.hash))
+      .catch(err => {
+        if (err.code === 'TRANSACTION_REPLACED') {
+          // repriced：同一筆呼叫以較高手續費打包 (例如在錢包中加速)
+          const status = err.cancelled
+            ? (err.reason === 'cancelled' ? 'cancelled' : 'dropped')
+            : (err.receipt?.status === 0 ? 'failed' : 'confirmed');
+          this.settle(record.hash, status, err.replacement?.hash ?? null);
+        } else if (err.code === 'CALL_EXCEPTION') {
+          this.settle(record.hash, 'failed', tx.hash, err.reason);
+        } else {
+          console.error("等待交易確認失敗:", err);
+        }
+      });
+
+    return record;
+  }
+
+  // 等待交易結束：確認時 resolve(record)，其他結果 reject(TransactionError)
+  wait(hash) {
+    const record = this.records.get(hash);
+    if (record && record.status !== 'pending') {
+      return record.status === 'confirmed' ? Promise.resolve(record) : Promise.reject(new TransactionError(record));
+    }
+    return new Promise((resolve, reject) => {
+      if (!this.waiters.has(hash)) this.waiters.set(hash, []);
+      this.waiters.get(hash).push({ resolve, reject });
+    });
+  }
+
+  isPending(rideId) {
+    return [...this.records.values()].some(record => record.status === 'pending' && record.rideId === rideId);
+  }
+
+  settle(hash, status, minedHash = null, error = null) {
+    const record = this.records.get(hash);
+    if (!record || record.status !== 'pending') return;
+    const settled = { ...record, status, minedHash, error };
+    this.records.set(hash, settled);
+    this.save();
+    this.notify();
+
+    (this.waiters.get(hash) || []).forEach(({ resolve, reject }) => (
+      status === 'confirmed' ? resolve(settled) : reject(new TransactionError(settled))
+    ));
+    this.waiters.delete(hash);
+
+    if (status === 'confirmed') setTimeout(() => this.dismiss(hash), this.options.confirmedTtl);
+  }
+
+  dismiss(hash) {
+    const record = this.records.get(hash);
+    if (!record || record.status === 'pending') return;
+    this.records.delete(hash);
+    this.save();
+    this.notify();
+  }
+
+  // --- 輪詢 (重新整理後，或錢包自行加速/取消而 tx.wait 無法得知時) ---
+  poll() {
+    // 後端尚未連線 (例如等待使用者選擇錢包) 時無法查詢，下次輪詢再試
+    if (!this.backend.isConnected) return Promise.resolve();
+    if (this.polling) return this.polling;
+    const pending = this.getTransactions().filter(record => record.status === 'pending').map(record => record.hash);
+    if (pending.length === 0) return Promise.resolve();
+    this.polling = (async () => {
+      for (const hash of pending) {
+        try {
+          await this.check(hash);
+        } catch (err) {
+          console.error(`查詢交易 ${hash} 失敗:`, err);
+        }
+      }
+      this.polling = null;
+    })();
+    return this.polling;
+  }
+
+  async check(hash) {
+    // 先讀 nonce 再查收據，避免兩次查詢之間剛好被打包而誤判為被取代
+    let record = this.records.get(hash);
+    if (!record || record.status !== 'pending') return;
+    const nonceUsed = record.nonce !== null && record.from
+      ? await this.backend.getNonce(record.from) > record.nonce
+      : false;
+
+    // 等待期間可能又送出了取代交易，以最新的記錄為準
+    record = this.records.get(hash);
+    for (const candidate of [record.hash, ...record.replacements]) {
+      const receipt = await this.backend.getTransactionReceipt(candidate);
+      if (!receipt) continue;
+      const status = receipt.status === 0 ? 'failed' : candidate === record.cancelledBy ? 'cancelled' : 'confirmed';
+      this.settle(record.hash, status, candidate);
+      return;
+    }
+
+    if (!nonceUsed) return;
+    // 沒有任何一筆被打包，但 nonce 已被用掉：可能是錢包自行加速 (換了雜湊)，也可能被其他交易取代
+    if (await this.wasApplied(record)) this.settle(record.hash, 'confirmed');
+    else this.settle(record.hash, 'dropped');
+  }
+
+  // 由鏈上資料判斷交易的操作是否已生效
+  async wasApplied(record) {
+    if (record.action === 'requestRide') {
+      // 送出時間之後 (容許一分鐘的時鐘誤差) 由同一乘客發出的訂單
+      const latest = await this.backend.getBlockNumber();
+      const events = await this.backend.queryEvents(Math.max(0, latest - this.options.requestLookback), latest);
+      const rideIds = events
+        .filter(event => event.name === 'RideRequested' && sameAddress(event.args[1], record.from))
+        .map(event => Number(event.args[0]));
+      if (rideIds.length === 0) return false;
+      const rides = await this.backend.getRides(rideIds);
+      return rides.some(ride => ride.timestamp * 1000 >= record.createdAt - 60000);
+    }
+    const applied = ACTION_APPLIED[record.action];
+    if (!applied || record.rideId === null) return false;
+    const [ride] = await this.backend.getRides([record.rideId]);
+    return !!ride && applied(ride, record.from);
+  }
+
+  // --- 加速 / 取消 ---
+  async replace(hash, { cancel = false } = {}) {
+    const record = this.records.get(hash);
+    if (!record || record.status !== 'pending') return;
+    const latest = record.replacements[record.replacements.length - 1] ?? record.hash;
+    const tx = await this.backend.replaceTransaction(latest, { cancel });
+    // 部分錢包會忽略 dApp 指定的 nonce，此時送出的是另一筆新交易
+    if (tx.nonce !== record.nonce) throw new Error('錢包未使用原交易的 nonce，無法取代 (請改用錢包內建的加速/取消)');
+    const updated = {
+      ...this.records.get(hash),
+      replacements: [...record.replacements, tx.hash],
+      cancelledBy: cancel ? tx.hash : record.cancelledBy
+    };
+    this.records.set(hash, updated);
+    this.save();
+    this.notify();
+
+    tx.wait()
+      .then(receipt => this.settle(hash, cancel ? 'cancelled' : (receipt.status === 0 ? 'failed' : 'confirmed'), tx.hash))
+      .catch(err => {
+        // 取代交易本身又被取代時交給 poll() 判斷
+        if (err.code !== 'TRANSACTION_REPLACED') console.error("等待取代交易失敗:", err);
+      });
+  }
+
+  speedUp(hash) {
+    return this.replace(hash);
+  }
+
+  cancel(hash) {
+    return this.replace(hash, { cancel: true });
+  }
+}
@@ -0,0 +1,328 @@
+import { ethers } from 'ethers';
+import { getNetwork, toHexChainId, toAddChainParams, getExplorerTxUrl } from '../networks';
+import { RideBackend, RIDE_STATUSES, normalizeRide, serializeLocation } from './RideBackend';
+
+/**
+ * ContractRideBackend - 透過使用者的錢包與 NTUber 合約互動
+ * 部署目標 (Sepolia / 本地鏈) 由 src/networks.js 的網路註冊表決定；
+ * 錢包由錢包選單提供 (WalletConnector，見 src/wallets)，所有請求都經由它的 EIP-1193 provider。
+ */
+
+// 錢包不認得該鏈時回傳的錯誤碼 (EIP-3326)
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+// 使用者拒絕切換網路，或錢包無法切換
+export class WrongNetworkError extends Error {
+  constructor(network, cause) {
+    super(`請切換至 ${network.name} 網路`);
+    this.name = 'WrongNetworkError';
+    this.code = 'WRONG_NETWORK';
+    this.cause = cause;
+  }
+}
+
+export const CONTRACT_ABI = [
+  "function requestRide(string memory _pickup, string memory _dropoff) public payable",
+  "function acceptRide(uint256 _rideId) public",
+  "function startRide(uint256 _rideId) public",
+  "function completeRide(uint256 _rideId) public",
+  "function cancelRide(uint256 _rideId) public",
+  "function rateDriver(uint256 _rideId, uint8 _rating) public",
+  // 擴充版合約才有 (司機評價乘客)；舊部署呼叫會 revert
+  "function ratePassenger(uint256 _rideId, uint8 _rating) public",
+  "function rideCount() public view returns (uint256)",
+  "function getRideDetails(uint256 _rideId) public view returns (tuple(uint256 id, address passenger, address driver, string pickupLocation, string dropoffLocation, uint256 amount, uint256 timestamp, uint8 status, bool isRated, uint8 rating))",
+  "event RideRequested(uint256 indexed rideId, address indexed passenger, uint256 amount, string pickup)",
+  "event RideAccepted(uint256 indexed rideId, address indexed driver)",
+  "event RideStarted(uint256 indexed rideId)",
+  "event RideCompleted(uint256 indexed rideId, address indexed driver, uint256 amount)",
+  "event RideCancelled(uint256 indexed rideId, address indexed triggerBy)",
+  "event DriverRated(address indexed driver, uint8 rating)",
+  "event PassengerRated(address indexed passenger, uint8 rating)"
+];
+
+export const RIDE_EVENTS = ['RideRequested', 'RideAccepted', 'RideStarted', 'RideCompleted', 'RideCancelled', 'DriverRated', 'PassengerRated'];
+
+// 取代交易的手續費至少要比原交易高 10% 才會被節點接受，這裡提高 20%
+const bumpFee = (original, current) => {
+  const bumped = original * 12n / 10n;
+  return current && current > bumped ? current : bumped;
+};
+
+// 同時送出的 getRideDetails 呼叫數 (ethers 會把同一時間的請求合併為 JSON-RPC batch)
+const READ_BATCH_SIZE = 10;
+
+const toRideEvent = (log) => ({
+  name: log.eventName ?? log.fragment?.name,
+  args: [...log.args],
+  blockNumber: log.blockNumber,
+  transactionHash: log.transactionHash,
+  logIndex: log.index
+});
+
+export class ContractRideBackend extends RideBackend {
+  constructor(network = getNetwork()) {
+    super();
+    this.network = network;
+    this.connector = null;
+    this.provider = null;
+    this.contract = null;
+  }
+
+  // 目前錢包的 EIP-1193 provider
+  get ethereum() {
+    return this.connector?.getProvider() ?? null;
+  }
+
+  get label() {
+    return `${this.network.name} Live Feed`;
+  }
+
+  get cacheKey() {
+    return `${this.network.chainId}:${this.network.contractAddress.toLowerCase()}`;
+  }
+
+  get deployBlock() {
+    return this.network.deployBlock ?? null;
+  }
+
+  isAvailable() {
+    return !!this.ethereum;
+  }
+
+  get needsWallet() {
+    return true;
+  }
+
+  get isConnected() {
+    return !!this.contract;
+  }
+
+  setConnector(connector) {
+    this.connector = connector;
+    this.provider = null;
+    this.contract = null;
+  }
+
+  async disconnect() {
+    const connector = this.connector;
+    this.setConnector(null);
+    if (connector) await connector.disconnect();
+  }
+
+  // 只轉發目前錢包的事件 (主動中斷連線時錢包送出的 accountsChanged([]) 不再通知)
+  onWalletEvent(listener) {
+    const connector = this.connector;
+    if (!connector) return () => {};
+    const forward = (event) => {
+      if (this.connector === connector) listener(event);
+    };
+    return connector.onEvents({
+      accountsChanged: (accounts) => forward({ type: 'accountsChanged', address: accounts[0] ? ethers.getAddress(accounts[0]) : null }),
+      chainChanged: () => forward({ type: 'chainChanged' }),
+      disconnect: () => forward({ type: 'disconnect' })
+    });
+  }
+
+  async switchNetwork() {
+    if (!this.ethereum) return;
+    const targetChainId = toHexChainId(this.network.chainId);
+    try {
+      const chainId = await this.ethereum.request({ method: 'eth_chainId' });
+      if (chainId === targetChainId) return;
+      try {
+        await this.ethereum.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: targetChainId }],
+        });
+      } catch (error) {
+        // 錢包尚未加入此鏈 (例如本地 Hardhat/Anvil)：先新增再切換
+        const code = error.data?.originalError?.code ?? error.code;
+        if (code !== UNRECOGNIZED_CHAIN_ERROR) throw error;
+        await this.ethereum.request({
+          method: 'wallet_addEthereumChain',
+          params: [toAddChainParams(this.network)],
+        });
+      }
+    } catch (error) {
+      console.error("Failed to switch network:", error);
+      throw new WrongNetworkError(this.network, error);
+    }
+  }
+
+  // 沒有錢包時經由網路的 JSON-RPC 節點唯讀瀏覽 (訂單、事件、餘額)；寫入前需選擇錢包並 connect
+  async connectReadOnly() {
+    if (!this.network.contractAddress) {
+      throw new Error(`${this.network.name} 尚未設定合約地址 (VITE_CONTRACT_ADDRESS)`);
+    }
+    // 固定鏈 ID，節點暫時連不上時不會反覆偵測網路
+    this.provider = new ethers.JsonRpcProvider(this.network.rpcUrl, this.network.chainId, { staticNetwork: true });
+    this.contract = new ethers.Contract(this.network.contractAddress, CONTRACT_ABI, this.provider);
+  }
+
+  async connect() {
+    if (!this.connector) throw new Error('尚未選擇錢包');
+    await this.connector.connect();
+    await this.switchNetwork();
+
+    if (!this.network.contractAddress) {
+      throw new Error(`${this.network.name} 尚未設定合約地址 (VITE_CONTRACT_ADDRESS)`);
+    }
+
+    this.provider = new ethers.BrowserProvider(this.ethereum);
+    const signer = await this.provider.getSigner();
+    const address = await signer.getAddress();
+    this.contract = new ethers.Contract(this.network.contractAddress, CONTRACT_ABI, signer);
+
+    return { address, balance: await this.getBalance(address) };
+  }
+
+  async getBalance(address) {
+    const balance = await this.provider.getBalance(address);
+    return parseFloat(ethers.formatEther(balance)).toFixed(4);
+  }
+
+  async signMessage(message) {
+    const signer = await (new ethers.BrowserProvider(this.ethereum)).getSigner();
+    return signer.signMessage(message);
+  }
+
+  // 每次送交易前都重新確認網路並取得最新的 signer (使用者可能在錢包中切換帳號)
+  async send(method, ...args) {
+    await this.switchNetwork();
+    const currentSigner = await (new ethers.BrowserProvider(this.ethereum)).getSigner();
+    return this.contract.connect(currentSigner)[method](...args);
+  }
+
+  requestRide(pickup, dropoff, amountEth, { tier } = {}) {
+    return this.send('requestRide', serializeLocation(pickup, { tier }), serializeLocation(dropoff), {
+      value: ethers.parseEther(amountEth.toString())
+    });
+  }
+
+  acceptRide(rideId) {
+    return this.send('acceptRide', rideId);
+  }
+
+  startRide(rideId) {
+    return this.send('startRide', rideId);
+  }
+
+  completeRide(rideId) {
+    return this.send('completeRide', rideId);
+  }
+
+  cancelRide(rideId) {
+    return this.send('cancelRide', rideId);
+  }
+
+  rateDriver(rideId, rating) {
+    return this.send('rateDriver', rideId, rating);
+  }
+
+  ratePassenger(rideId, rating) {
+    return this.send('ratePassenger', rideId, rating);
+  }
+
+  // --- 交易追蹤 ---
+  async getTransactionReceipt(hash) {
+    const receipt = await this.provider.getTransactionReceipt(hash);
+    return receipt ? { hash, status: receipt.status, blockNumber: receipt.blockNumber } : null;
+  }
+
+  getNonce(address) {
+    return this.provider.getTransactionCount(address, 'latest');
+  }
+
+  get supportsReplacement() {
+    return true;
+  }
+
+  async replaceTransaction(hash, { cancel = false } = {}) {
+    const original = await this.provider.getTransaction(hash);
+    if (!original) throw new Error('找不到原交易 (可能已被節點丟棄)');
+    if (original.blockNumber !== null) throw new Error('交易已被打包，無法取代');
+
+    const feeData = await this.provider.getFeeData();
+    const fees = original.maxFeePerGas !== null
+      ? {
+          maxFeePerGas: bumpFee(original.maxFeePerGas, feeData.maxFeePerGas),
+          maxPriorityFeePerGas: bumpFee(original.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas)
+        }
+      : { gasPrice: bumpFee(original.gasPrice, feeData.gasPrice) };
+
+    await this.switchNetwork();
+    const signer = await (new ethers.BrowserProvider(this.ethereum)).getSigner();
+    // 取消：以同一個 nonce 轉 0 給自己
+    return signer.sendTransaction(cancel
+      ? { to: original.from, value: 0n, data: '0x', gasLimit: 21000n, nonce: original.nonce, ...fees }
+      : { to: original.to, value: original.value, data: original.data, gasLimit: original.gasLimit, nonce: original.nonce, ...fees });
+  }
+
+  explorerTxUrl(hash) {
+    return getExplorerTxUrl(this.network, hash);
+  }
+
+  async getRideCount() {
+    return Number(await this.contract.rideCount());
+  }
+
+  async getRides(rideIds) {
+    const rides = [];
+    for (let i = 0; i < rideIds.length; i += READ_BATCH_SIZE) {
+      const batch = rideIds.slice(i, i + READ_BATCH_SIZE);
+      const results = await Promise.all(batch.map(id => this.contract.getRideDetails(id)));
+      rides.push(...results.map(ride => normalizeRide({
+        id: ride.id,
+        passenger: ride.passenger,
+        driver: ride.driver === ethers.ZeroAddress ? null : ride.driver,
+        amount: ethers.formatEther(ride.amount),
+        status: RIDE_STATUSES[Number(ride.status)],
+        pickup: ride.pickupLocation,
+        dropoff: ride.dropoffLocation,
+        isRated: ride.isRated,
+        timestamp: ride.timestamp
+      })));
+    }
+    return rides;
+  }
+
+  getBlockNumber() {
+    return this.provider.getBlockNumber();
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block ? block.timestamp : null;
+  }
+
+  async queryEvents(fromBlock, toBlock) {
+    const logs = await this.contract.queryFilter('*', fromBlock, toBlock);
+    return logs
+      .filter(log => RIDE_EVENTS.includes(log.eventName))
+      .map(toRideEvent);
+  }
+
+  // passenger 與 driver 都是 indexed 參數，以 topic 過濾後節點只回傳相關的事件
+  async queryRideIds(address, fromBlock, toBlock) {
+    const { filters } = this.contract;
+    const [requested, accepted] = await Promise.all([
+      this.contract.queryFilter(filters.RideRequested(null, address), fromBlock, toBlock),
+      this.contract.queryFilter(filters.RideAccepted(null, address), fromBlock, toBlock)
+    ]);
+    return [...new Set([...requested, ...accepted].map(log => Number(log.args[0])))];
+  }
+
+  subscribe(listener) {
+    const handlers = RIDE_EVENTS.map((name) => {
+      // ethers 會把 ContractEventPayload 附在最後一個參數，其中的 log 帶有區塊資訊
+      const handler = (...args) => listener(toRideEvent(args[args.length - 1].log));
+      this.contract.on(name, handler);
+      return [name, handler];
+    });
+
+    return () => {
+      handlers.forEach(([name, handler]) => this.contract.off(name, handler));
+    };
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * RideBackend - 叫車後端的共同介面
+ * NTUberApp 只透過這個介面操作訂單，實際執行者可以是鏈上合約
+ * (ContractRideBackend) 或本地模擬網路 (SimulatedRideBackend)。
+ *
+ * 所有寫入操作 (requestRide / acceptRide / ...) 都回傳類似 ethers 交易的物件：
+ *   { hash, from, nonce, wait: () => Promise<receipt> }  (模擬網路沒有 nonce，為 null)
+ * getRides() 回傳正規化後的訂單陣列 (見 normalizeRide 的欄位說明)。
+ * 事件 (subscribe / queryEvents) 統一為：
+ *   { name, args, blockNumber, transactionHash, logIndex }
+ */
+
+// 合約 enum 順序：uint8 status -> 字串
+export const RIDE_STATUSES = ['Created', 'Accepted', 'Ongoing', 'Completed', 'Cancelled'];
+export const ACTIVE_STATUSES = ['Created', 'Accepted', 'Ongoing'];
+
+const NTU_FALLBACK = { lat: 25.0174, lng: 121.5397 };
+
+// 解析鏈上儲存的地點字串 ({name, lat, lng} JSON)，舊資料則退回純文字
+export const parseLocation = (locString) => {
+  if (locString && typeof locString === 'object') return locString;
+  try {
+    return JSON.parse(locString);
+  } catch {
+    return { name: locString, ...NTU_FALLBACK };
+  }
+};
+
+// extra 為附加在地點上的訂單資訊 (例如上車點的 tier 車種)
+// 約略位置另帶 geohash，上車點再帶交換金鑰用的公鑰 key (見 src/privacy)
+export const serializeLocation = ({ name, lat, lng, geohash, key }, extra = {}) => JSON.stringify({ name, lat, lng, geohash, key, ...extra });
+
+/**
+ * 把各後端的原始訂單資料轉成 UI 使用的統一格式。
+ * amount 為 ETH 字串，timestamp 為秒，tier 為車種 (舊訂單沒有此欄位則為 null)。
+ * isPassengerRated 只有模擬網路提供 (合約的 getRideDetails 沒有此欄位，一律為 false)。
+ * 只公開約略位置的訂單 isCoarse 為 true，privacyKey 為乘客的訂單公鑰 (精確位置由 revealRide 套用)。
+ */
+export const normalizeRide = ({ id, passenger, driver, amount, status, pickup, dropoff, isRated, isPassengerRated, timestamp }) => {
+  const pickupData = parseLocation(pickup);
+  const dropoffData = parseLocation(dropoff);
+  return {
+    id: Number(id),
+    passenger,
+    driver: driver || null,
+    amount,
+    status,
+    pickup: pickupData.name,
+    dropoff: dropoffData.name,
+    pickupCoords: { lat: pickupData.lat, lng: pickupData.lng },
+    dropoffCoords: { lat: dropoffData.lat, lng: dropoffData.lng },
+    isRated: !!isRated,
+    isPassengerRated: !!isPassengerRated,
+    timestamp: Number(timestamp),
+    tier: pickupData.tier || null,
+    isCoarse: !!pickupData.geohash,
+    privacyKey: pickupData.key || null
+  };
+};
+
+const notImplemented = (backend, method) => new Error(`${backend.constructor.name}.${method} 尚未實作`);
+
+export class RideBackend {
+  // 顯示在司機訂單池標題下的來源名稱
+  get label() {
+    return 'Ride Backend';
+  }
+
+  // 本地快取 (例如行程歷史) 的命名空間，不同鏈/合約的資料不可混用
+  get cacheKey() {
+    return this.constructor.name;
+  }
+
+  // 最早可能有事件的區塊 (合約部署區塊)，null 表示未知
+  get deployBlock() {
+    return 0;
+  }
+
+  // 目前環境是否能使用此後端 (例如是否有注入錢包)
+  isAvailable() {
+    return true;
+  }
+
+  // 是否已能讀取資料 (connect 或 connectReadOnly 之後)；之前的讀取會失敗
+  get isConnected() {
+    return true;
+  }
+
+  // 要求錢包切換到後端所在的網路，無法切換時拋出 (code 'WRONG_NETWORK')；不需要錢包的後端不做事
+  async switchNetwork() {}
+
+  // --- 錢包 (見 src/wallets) ---
+
+  // 是否需要使用者在錢包選單中選擇錢包；不需要的後端自行產生身分
+  get needsWallet() {
+    return false;
+  }
+
+  // (connector)：改用指定的錢包，之後需重新 connect
+  setConnector() {}
+
+  // 中斷錢包連線
+  async disconnect() {}
+
+  // (listener)：錢包事件 { type: 'accountsChanged', address (null 表示已中斷) } | { type: 'chainChanged' } | { type: 'disconnect' }
+  // 回傳取消訂閱函數
+  onWalletEvent() {
+    return () => {};
+  }
+
+  // 連線並取得身分，回傳 { address, balance }
+  async connect() {
+    throw notImplemented(this, 'connect');
+  }
+
+  // 沒有身分時的唯讀連線 (needsWallet 的後端在使用者選擇錢包前使用)，之後只能讀取
+  async connectReadOnly() {
+    throw notImplemented(this, 'connectReadOnly');
+  }
+
+  // (address) => ETH 餘額字串
+  async getBalance() {
+    throw notImplemented(this, 'getBalance');
+  }
+
+  // (message)：以目前身分做 EIP-191 personal_sign，回傳簽章
+  async signMessage() {
+    throw notImplemented(this, 'signMessage');
+  }
+
+  // --- 訂單生命週期 ---
+
+  // (pickup, dropoff, amountEth, { tier })：pickup/dropoff 為 { name, lat, lng }，tier 會寫入上車點
+  async requestRide() {
+    throw notImplemented(this, 'requestRide');
+  }
+
+  // (rideId)
+  async acceptRide() {
+    throw notImplemented(this, 'acceptRide');
+  }
+
+  // (rideId)
+  async startRide() {
+    throw notImplemented(this, 'startRide');
+  }
+
+  // (rideId)
+  async completeRide() {
+    throw notImplemented(this, 'completeRide');
+  }
+
+  // (rideId)
+  async cancelRide() {
+    throw notImplemented(this, 'cancelRide');
+  }
+
+  // (rideId, rating 1~5)
+  async rateDriver() {
+    throw notImplemented(this, 'rateDriver');
+  }
+
+  // (rideId, rating 1~5)：司機評價乘客
+  async ratePassenger() {
+    throw notImplemented(this, 'ratePassenger');
+  }
+
+  // --- 讀取與訂閱 ---
+  async getRideCount() {
+    throw notImplemented(this, 'getRideCount');
+  }
+
+  // (rideIds)：批次讀取多筆訂單，回傳順序與 rideIds 相同
+  async getRides() {
+    throw notImplemented(this, 'getRides');
+  }
+
+  async getBlockNumber() {
+    throw notImplemented(this, 'getBlockNumber');
+  }
+
+  // (blockNumber)：區塊時間 (秒)，未知時回傳 null
+  async getBlockTimestamp() {
+    throw notImplemented(this, 'getBlockTimestamp');
+  }
+
+  // --- 交易追蹤 (TransactionManager) ---
+
+  // (hash)：交易收據 { hash, status (1 成功 / 0 revert), blockNumber }，尚未打包回傳 null
+  async getTransactionReceipt() {
+    throw notImplemented(this, 'getTransactionReceipt');
+  }
+
+  // (address)：已打包的交易數，即下一筆交易的 nonce
+  async getNonce() {
+    throw notImplemented(this, 'getNonce');
+  }
+
+  // 是否能以相同 nonce 送出取代交易 (加速 / 取消)
+  get supportsReplacement() {
+    return false;
+  }
+
+  // (hash, { cancel })：以較高手續費取代尚未打包的交易 (cancel 時改為轉 0 給自己)，回傳 { hash, nonce, wait }
+  async replaceTransaction() {
+    throw notImplemented(this, 'replaceTransaction');
+  }
+
+  // (hash)：區塊瀏覽器上的交易頁面，沒有瀏覽器時為 null
+  explorerTxUrl() {
+    return null;
+  }
+
+  // (fromBlock, toBlock)：查詢區間內 (含兩端) 的歷史事件，依區塊順序排列
+  async queryEvents() {
+    throw notImplemented(this, 'queryEvents');
+  }
+
+  // (address, fromBlock, toBlock)：區間內該地址以乘客 (RideRequested) 或司機 (RideAccepted) 參與的訂單編號，不重複
+  async queryRideIds() {
+    throw notImplemented(this, 'queryRideIds');
+  }
+
+  // (listener)：listener 會收到每一筆新事件，回傳取消訂閱函數
+  subscribe() {
+    throw notImplemented(this, 'subscribe');
+  }
+}
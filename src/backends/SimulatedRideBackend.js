@@ -0,0 +1,143 @@
+import { ethers } from 'ethers';
+import { rideNetwork } from '../RideNetwork';
+import { getLedgerSync } from '../LedgerSync';
+import { RideBackend, normalizeRide, serializeLocation } from './RideBackend';
+
+/**
+ * SimulatedRideBackend - 以 RideNetwork 模擬合約，不需 MetaMask 與測試網 ETH
+ * 每個分頁在 sessionStorage 保存一把隨機私鑰作為本地身分，
+ * 因此兩個分頁可分別扮演乘客與司機。
+ * 帳本經由 LedgerSync 存在 IndexedDB 並跨分頁同步，多個視窗即為同一網路上的多個節點。
+ */
+
+const SESSION_KEY_STORAGE = 'ntuber_sim_private_key';
+
+// 模擬交易在送出時即已打包，回傳與 ethers 交易相同的 { hash, from, nonce, wait } 形狀
+const toTransaction = (receipt) => ({ hash: receipt.hash, from: receipt.from, nonce: null, wait: async () => receipt });
+
+export class SimulatedRideBackend extends RideBackend {
+  constructor(network = rideNetwork) {
+    super();
+    this.network = network;
+    this.sync = getLedgerSync(network);
+    this.wallet = null;
+  }
+
+  get label() {
+    return 'Local Simulator';
+  }
+
+  get cacheKey() {
+    return 'simulated';
+  }
+
+  async connect() {
+    let privateKey = sessionStorage.getItem(SESSION_KEY_STORAGE);
+    if (!privateKey) {
+      privateKey = ethers.Wallet.createRandom().privateKey;
+      sessionStorage.setItem(SESSION_KEY_STORAGE, privateKey);
+    }
+    this.wallet = new ethers.Wallet(privateKey);
+    await this.sync.transact(() => this.network.ensureAccount(this.wallet.address));
+    return { address: this.wallet.address, balance: await this.getBalance(this.wallet.address) };
+  }
+
+  async getBalance(address) {
+    return parseFloat(ethers.formatEther(this.network.getBalance(address))).toFixed(4);
+  }
+
+  signMessage(message) {
+    return this.wallet.signMessage(message);
+  }
+
+  // 以本分頁身分呼叫 RideNetwork 的合約函數 (經由 LedgerSync 寫入並廣播)
+  async send(method, ...args) {
+    const receipt = await this.sync.transact(() => this.network[method](this.wallet.address, ...args));
+    return toTransaction(receipt);
+  }
+
+  requestRide(pickup, dropoff, amountEth, { tier } = {}) {
+    return this.send(
+      'requestRide',
+      serializeLocation(pickup, { tier }),
+      serializeLocation(dropoff),
+      ethers.parseEther(amountEth.toString())
+    );
+  }
+
+  acceptRide(rideId) {
+    return this.send('acceptRide', rideId);
+  }
+
+  startRide(rideId) {
+    return this.send('startRide', rideId);
+  }
+
+  completeRide(rideId) {
+    return this.send('completeRide', rideId);
+  }
+
+  cancelRide(rideId) {
+    return this.send('cancelRide', rideId);
+  }
+
+  rateDriver(rideId, rating) {
+    return this.send('rateDriver', rideId, rating);
+  }
+
+  ratePassenger(rideId, rating) {
+    return this.send('ratePassenger', rideId, rating);
+  }
+
+  async getRideCount() {
+    await this.sync.ready;
+    return this.network.rideCount();
+  }
+
+  async getRides(rideIds) {
+    await this.sync.ready;
+    return rideIds.map(id => {
+      const ride = this.network.getRideDetails(id);
+      return normalizeRide({
+        ...ride,
+        amount: ethers.formatEther(ride.amount),
+        pickup: ride.pickupLocation,
+        dropoff: ride.dropoffLocation
+      });
+    });
+  }
+
+  async getBlockNumber() {
+    await this.sync.ready;
+    return this.network.blockNumber;
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    await this.sync.ready;
+    return this.network.getBlockTimestamp(blockNumber);
+  }
+
+  // 模擬網路只記錄成功的交易 (revert 的交易在送出時即拋出錯誤)
+  async getTransactionReceipt(hash) {
+    await this.sync.ready;
+    const log = this.network.logs.find(l => l.transactionHash === hash);
+    return log ? { hash, status: 1, blockNumber: log.blockNumber } : null;
+  }
+
+  async queryEvents(fromBlock, toBlock) {
+    await this.sync.ready;
+    return this.network.getLogs(fromBlock, toBlock);
+  }
+
+  async queryRideIds(address, fromBlock, toBlock) {
+    await this.sync.ready;
+    const ids = this.network.getLogs(fromBlock, toBlock)
+      .filter(log => ['RideRequested', 'RideAccepted'].includes(log.name) && log.args[1]?.toLowerCase() === address.toLowerCase())
+      .map(log => Number(log.args[0]));
+    return [...new Set(ids)];
+  }
+
+  subscribe(listener) {
+    return this.network.subscribe(listener);
+  }
+}
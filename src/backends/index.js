@@ -0,0 +1,17 @@
+import { RIDE_BACKEND } from '../config';
+import { ContractRideBackend } from './ContractRideBackend';
+import { SimulatedRideBackend } from './SimulatedRideBackend';
+
+export { RIDE_STATUSES, ACTIVE_STATUSES } from './RideBackend';
+
+const BACKENDS = {
+  contract: ContractRideBackend,
+  simulated: SimulatedRideBackend
+};
+
+// 依設定建立叫車後端
+export const createRideBackend = (type = RIDE_BACKEND) => {
+  const Backend = BACKENDS[type];
+  if (!Backend) throw new Error(`未知的叫車後端: ${type}`);
+  return new Backend();
+};
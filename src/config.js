@@ -0,0 +1,41 @@
+/**
+ * 執行期設定 (透過 Vite 環境變數覆寫，見 .env.example)
+ */
+
+// 叫車後端：'contract' = Sepolia 合約 (需 MetaMask)，'simulated' = 本地 RideNetwork 模擬
+export const RIDE_BACKEND = import.meta.env.VITE_RIDE_BACKEND || 'contract';
+
+// 合約部署目標：'sepolia' 或 'localhost' (Hardhat/Anvil，chain id 31337)，見 src/networks.js
+export const NETWORK = import.meta.env.VITE_NETWORK || 'sepolia';
+
+// 選填：覆寫所選網路的 RPC URL 與合約地址
+export const RPC_URL_OVERRIDE = import.meta.env.VITE_RPC_URL || '';
+export const CONTRACT_ADDRESS_OVERRIDE = import.meta.env.VITE_CONTRACT_ADDRESS || '';
+// 選填：合約部署的區塊高度 (歷史事件從此處開始查詢，例如司機評價)
+export const DEPLOY_BLOCK_OVERRIDE = import.meta.env.VITE_DEPLOY_BLOCK || '';
+
+// 路徑規劃：各交通方式的 OSRM 相容伺服器 (本地容器例如 http://localhost:5000)；留空則只用內建台大路網
+// routing.openstreetmap.de 每種交通方式是獨立的伺服器，機車與汽車都使用汽車路網
+export const OSRM_URLS = {
+  bike: import.meta.env.VITE_OSRM_BIKE_URL ?? 'https://routing.openstreetmap.de/routed-bike',
+  car: import.meta.env.VITE_OSRM_CAR_URL ?? 'https://routing.openstreetmap.de/routed-car'
+};
+export const OSRM_PROFILE = import.meta.env.VITE_OSRM_PROFILE || 'driving';
+
+// 地理編碼：Nominatim 相容伺服器 (自架或測試用的假伺服器)；留空則只用內建台大地名表
+export const GEOCODER_URL = import.meta.env.VITE_GEOCODER_URL ?? 'https://nominatim.openstreetmap.org';
+// 邊打字邊查詢 Nominatim：公用伺服器的使用規範禁止自動完成，只有指向自架伺服器時才可設為 true
+export const GEOCODER_AUTOCOMPLETE = import.meta.env.VITE_GEOCODER_AUTOCOMPLETE === 'true';
+
+// 司機位置中繼 (npm run relay，例如 ws://localhost:8787)；留空則只在同一瀏覽器的分頁間同步
+export const LOCATION_RELAY_URL = import.meta.env.VITE_LOCATION_RELAY_URL || '';
+
+// ETH/NTD 匯率 (見 src/priceFeed)：依序嘗試鏈上預言機、HTTP 報價，最後退回手動匯率
+// 預言機為逗號分隔的 Chainlink aggregator 地址，報價相乘；'/' 前綴表示相除 (例如 0xETHUSD,/0xTWDUSD)
+export const PRICE_ORACLES = import.meta.env.VITE_PRICE_ORACLES || '';
+// 讀取預言機的 RPC，留空則使用所選網路的 RPC
+export const PRICE_ORACLE_RPC_URL = import.meta.env.VITE_PRICE_ORACLE_RPC_URL || '';
+// CoinGecko 相容的報價 API；留空則不使用 HTTP 報價
+export const PRICE_FEED_URL = import.meta.env.VITE_PRICE_FEED_URL ?? 'https://api.coingecko.com/api/v3';
+// 手動匯率 (1 ETH = ? NTD)：即時來源都無法使用時採用；預言機與 HTTP 皆留空即固定使用此匯率
+export const ETH_NTD_RATE = Number(import.meta.env.VITE_ETH_NTD_RATE) || 100000;
@@ -0,0 +1,203 @@
+import { ethers } from 'ethers';
+
+/**
+ * 錯誤解碼 - 把錢包、RPC 節點與合約 revert 的錯誤轉成在地化訊息與建議動作
+ * decodeError(err) 回傳：
+ *   { kind, severity, title, message, suggestion, action, detail }
+ *   kind: 'rejected' | 'walletBusy' | 'insufficientFunds' | 'wrongNetwork' | 'timeout' | 'network'
+ *         | 'nonce' | 'revert' | 'cancelled' | 'dropped' | 'unknown'
+ *   severity: 'info' | 'warning' | 'error' (決定提示的顏色與是否自動關閉)
+ *   action: 建議動作，由 UI 對應成按鈕：'retry' | 'switchNetwork' | 'reload' | null
+ *   detail: 原始錯誤訊息 (除錯用)
+ * 合約 revert 依序嘗試：revert 字串 (require)、Panic 代碼；ABI 沒有宣告自訂錯誤，無法解碼的 revert 視為未提供原因。
+ */
+
+// revert 字串 -> 在地化訊息
+// 取自 RideNetwork 模擬的 require 字串；repo 中沒有合約原始碼，無法確認 Sepolia 合約使用完全相同的字串，
+// 因此查無對應時 (describeRevert) 直接顯示合約回傳的原始字串
+const REVERT_MESSAGES = {
+  'Missing sender': { message: '尚未連接錢包', suggestion: '請先連接錢包再操作' },
+  'Invalid ride ID': { message: '找不到這筆訂單', suggestion: '訂單可能不存在，請重新整理訂單列表' },
+  'Fare must be greater than 0': { message: '車資必須大於 0', suggestion: '請重新選擇上車點與目的地以計算車資' },
+  'Insufficient balance': { message: '錢包餘額不足以支付車資', suggestion: '請先儲值 ETH，或選擇較便宜的車種' },
+  'Ride is not available': { message: '這筆訂單已被其他司機接走或已取消', suggestion: '請從訂單池選擇其他訂單' },
+  'Passenger cannot accept own ride': { message: '不能接自己發出的訂單', suggestion: '請切換到另一個錢包帳號接單' },
+  'Only assigned driver can start': { message: '只有接單的司機可以開始行程', suggestion: '請確認錢包目前的帳號是否為接單帳號' },
+  'Ride is not accepted': { message: '訂單目前不是「已接單」狀態', suggestion: '行程可能已開始或已取消，請重新整理' },
+  'Only passenger can complete': { message: '只有乘客可以確認完成行程', suggestion: '請由乘客在抵達後按下完成' },
+  'Ride is not ongoing': { message: '行程尚未開始或已結束', suggestion: '請重新整理後確認行程狀態' },
+  'Ride cannot be cancelled': { message: '行程已開始或已結束，無法取消', suggestion: '行程進行中請與司機聯繫，抵達後再完成行程' },
+  'Not authorized to cancel': { message: '只有乘客或接單司機可以取消這筆訂單', suggestion: '請確認錢包目前的帳號' },
+  'Only passenger can rate': { message: '只有乘客可以評價司機', suggestion: '請確認錢包目前的帳號' },
+  'Ride not completed': { message: '行程完成後才能評價', suggestion: '請等待行程完成' },
+  'Already rated': { message: '這趟行程已經評價過了', suggestion: null },
+  'Rating must be 1-5': { message: '評分必須介於 1 到 5 顆星', suggestion: '請重新選擇評分' },
+  'Only driver can rate passenger': { message: '只有接單司機可以評價乘客', suggestion: '請確認錢包目前的帳號' },
+  'Ride not finished': { message: '行程結束或取消後才能評價乘客', suggestion: '請等待行程結束' },
+  'Passenger already rated': { message: '這位乘客已經評價過了', suggestion: null }
+};
+
+// Solidity 內建的 Panic 代碼 (assert、溢位、除以零等)
+const PANIC_MESSAGES = {
+  0x01: '合約內部檢查失敗 (assert)',
+  0x11: '合約運算溢位',
+  0x12: '合約除以零',
+  0x32: '合約陣列索引超出範圍'
+};
+
+// 錢包 (EIP-1193) 與 JSON-RPC 的錯誤碼
+const RPC_USER_REJECTED = 4001;
+const RPC_UNAUTHORIZED = 4100;
+const RPC_DISCONNECTED = 4900;
+const RPC_CHAIN_DISCONNECTED = 4901;
+const RPC_UNRECOGNIZED_CHAIN = 4902;
+const RPC_REQUEST_PENDING = -32002;
+
+// ethers、錢包與 RPC 會層層包裝原始錯誤，攤平成一個陣列 (外層在前)
+const unwrap = (err) => {
+  const chain = [];
+  const queue = [err];
+  while (queue.length > 0 && chain.length < 8) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || chain.includes(current)) continue;
+    chain.push(current);
+    queue.push(current.error, current.info?.error, current.data?.originalError, current.cause);
+  }
+  return chain;
+};
+
+const findCode = (chain, codes) => chain.find(e => codes.includes(e.code))?.code;
+const matches = (chain, pattern) => chain.some(e => typeof e.message === 'string' && pattern.test(e.message));
+
+// 從各層錯誤找出 revert 資料 (0x 開頭的 hex)
+const findRevertData = (chain) => {
+  for (const e of chain) {
+    const data = typeof e.data === 'string' ? e.data : e.data?.data;
+    if (typeof data === 'string' && /^0x[0-9a-f]{8}/i.test(data)) return data;
+  }
+  return null;
+};
+
+// 回傳 { reason } (revert 字串)、{ panic } (Panic 代碼)，或 null
+const decodeRevert = (chain) => {
+  for (const e of chain) {
+    if (e.revert?.name === 'Error') return { reason: String(e.revert.args[0]) };
+    if (e.revert?.name === 'Panic') return { panic: Number(e.revert.args[0]) };
+    if (e.reason && e.code === 'CALL_EXCEPTION') return { reason: e.reason };
+  }
+
+  const data = findRevertData(chain);
+  if (data) {
+    try {
+      if (data.startsWith('0x08c379a0')) {
+        return { reason: ethers.AbiCoder.defaultAbiCoder().decode(['string'], '0x' + data.slice(10))[0] };
+      }
+      if (data.startsWith('0x4e487b71')) {
+        return { panic: Number(ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], '0x' + data.slice(10))[0]) };
+      }
+    } catch {
+      // 無法解碼的 revert 資料：當作未提供原因
+    }
+  }
+
+  // 節點只回傳文字訊息，例如 execution reverted: "Ride is not available"
+  for (const e of chain) {
+    const found = typeof e.message === 'string' && e.message.match(/reverted(?: with reason string)?:? ["']([^"']+)["']/);
+    if (found) return { reason: found[1] };
+  }
+  return null;
+};
+
+const describeRevert = (revert) => {
+  if (revert?.reason) {
+    return REVERT_MESSAGES[revert.reason] ?? { message: `合約拒絕了這筆交易：${revert.reason}`, suggestion: '請重新整理後確認訂單狀態' };
+  }
+  if (revert?.panic !== undefined) {
+    const code = revert.panic;
+    return { message: PANIC_MESSAGES[code] ?? `合約執行錯誤 (Panic 0x${code.toString(16)})`, suggestion: '這是合約本身的問題，請回報給開發者' };
+  }
+  return { message: '合約拒絕了這筆交易 (未提供原因)', suggestion: '訂單狀態可能已改變，或目前的合約版本不支援此操作；請重新整理後再試' };
+};
+
+const result = (kind, severity, title, { message, suggestion = null }, action, detail) => ({
+  kind, severity, title, message, suggestion, action, detail
+});
+
+export const decodeError = (err) => {
+  const chain = unwrap(err);
+  const detail = err?.shortMessage || err?.message || String(err);
+
+  // TransactionManager 追蹤的交易結果
+  if (err?.name === 'TransactionError') {
+    const { record } = err;
+    if (record.status === 'cancelled') {
+      return result('cancelled', 'info', '交易已取消', { message: `「${record.label}」已由取消交易取代` }, null, detail);
+    }
+    if (record.status === 'dropped') {
+      return result('dropped', 'warning', '交易未執行', {
+        message: `「${record.label}」已被錢包中的其他交易取代`,
+        suggestion: '請確認訂單狀態後再重新送出'
+      }, 'retry', detail);
+    }
+    return result('revert', 'error', '交易失敗', describeRevert(record.error ? { reason: record.error } : null), null, detail);
+  }
+
+  if (findCode(chain, ['ACTION_REJECTED', RPC_USER_REJECTED])) {
+    return result('rejected', 'info', '已取消', { message: '您在錢包中拒絕了這次請求' }, null, detail);
+  }
+
+  if (findCode(chain, [RPC_REQUEST_PENDING])) {
+    return result('walletBusy', 'warning', '錢包忙碌中', {
+      message: '錢包中已有一個等待確認的請求',
+      suggestion: '請打開錢包處理後再試一次'
+    }, 'retry', detail);
+  }
+
+  if (findCode(chain, ['INSUFFICIENT_FUNDS']) || matches(chain, /insufficient funds/i)) {
+    return result('insufficientFunds', 'error', '餘額不足', {
+      message: '錢包的 ETH 不足以支付車資與手續費 (gas)',
+      suggestion: '請先儲值 ETH (測試網可至水龍頭領取)，或選擇較便宜的車種'
+    }, null, detail);
+  }
+
+  if (
+    findCode(chain, ['WRONG_NETWORK', RPC_CHAIN_DISCONNECTED, RPC_UNRECOGNIZED_CHAIN]) ||
+    chain.some(e => e.code === 'NETWORK_ERROR' && e.event === 'changed') ||
+    matches(chain, /network changed|chain ?id.*(mismatch|does not match)|wrong (network|chain)/i)
+  ) {
+    return result('wrongNetwork', 'warning', '網路不正確', {
+      message: '錢包目前連接的網路與 NTUber 合約所在的網路不同',
+      suggestion: '請切換網路後再試一次'
+    }, 'switchNetwork', detail);
+  }
+
+  if (findCode(chain, ['TIMEOUT']) || matches(chain, /time(d)? ?out/i)) {
+    return result('timeout', 'warning', '連線逾時', {
+      message: '區塊鏈節點沒有及時回應',
+      suggestion: '網路可能壅塞，請稍後再試；若交易已送出，可在交易清單查看進度'
+    }, 'retry', detail);
+  }
+
+  if (findCode(chain, ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'])) {
+    return result('nonce', 'warning', '交易序號衝突', {
+      message: '這個交易序號 (nonce) 已被使用，或取代交易的手續費不夠高',
+      suggestion: '請等待先前的交易確認後再試'
+    }, 'retry', detail);
+  }
+
+  if (findCode(chain, ['CALL_EXCEPTION']) || matches(chain, /revert/i)) {
+    return result('revert', 'error', '交易被合約拒絕', describeRevert(decodeRevert(chain)), null, detail);
+  }
+
+  if (
+    findCode(chain, ['NETWORK_ERROR', 'SERVER_ERROR', RPC_DISCONNECTED, RPC_UNAUTHORIZED]) ||
+    matches(chain, /failed to fetch|network error|could not detect network/i)
+  ) {
+    return result('network', 'warning', '連線失敗', {
+      message: '無法連線到錢包或區塊鏈節點',
+      suggestion: '請確認網路連線並解鎖錢包後再試'
+    }, 'retry', detail);
+  }
+
+  return result('unknown', 'error', '發生錯誤', { message: detail, suggestion: '請稍後再試，若問題持續請重新整理頁面' }, 'reload', detail);
+};
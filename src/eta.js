@@ -0,0 +1,81 @@
+import { distanceBetween, getDistanceMeters, polylineLength } from './geo';
+
+/**
+ * 到達時間 (ETA) 與行程進度估算
+ * 速度取司機最近幾筆位置的指數平滑平均 (GPS 跳動與停紅燈不會讓 ETA 大幅跳動)，
+ * 剩餘距離優先沿著路徑規劃的折線計算，沒有路徑時以直線距離乘上繞路係數。
+ */
+
+export const DEFAULT_SPEED = 4; // 尚無足夠位置樣本時的速度 (m/s)，與路網估算一致
+export const PICKUP_ALERT_DISTANCE = 200; // 司機距上車點多近時提醒乘客 (m)
+
+const MAX_SAMPLES = 10;
+const MIN_SPEED = 1; // 停等時的速度下限，避免 ETA 變成無限大 (m/s)
+const MAX_SPEED = 25; // 超過此速度視為 GPS 跳點 (m/s)
+const SMOOTHING = 0.3; // 新樣本的權重
+const DETOUR_FACTOR = 1.3; // 直線距離換算道路距離
+const OFF_ROUTE_DISTANCE = 100; // 離路徑超過此距離即不沿路徑計算 (m)
+
+// 加入一筆位置樣本 ({ lat, lng, timestamp })，保留第一筆作為進度的起點
+export const appendTrackSample = (track, sample) => ({
+  origin: track?.origin || sample,
+  samples: [...(track?.samples || []).slice(-(MAX_SAMPLES - 1)), sample]
+});
+
+export const smoothedSpeed = (samples, fallback = DEFAULT_SPEED) => {
+  let speed = null;
+  for (let i = 1; i < samples.length; i++) {
+    const seconds = (samples[i].timestamp - samples[i - 1].timestamp) / 1000;
+    if (seconds < 1) continue;
+    const sampleSpeed = distanceBetween(samples[i - 1], samples[i]) / seconds;
+    if (sampleSpeed > MAX_SPEED) continue;
+    speed = speed === null ? sampleSpeed : speed + SMOOTHING * (sampleSpeed - speed);
+  }
+  return speed === null ? fallback : Math.max(speed, MIN_SPEED);
+};
+
+// 點到線段的最近點 (短距離內以平面近似)，回傳 { point: [lat, lng], distance }
+const projectOntoSegment = (position, [aLat, aLng], [bLat, bLng]) => {
+  const scale = Math.cos(position.lat * Math.PI / 180);
+  const dx = (bLng - aLng) * scale;
+  const dy = bLat - aLat;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.min(1, Math.max(0, ((position.lng - aLng) * scale * dx + (position.lat - aLat) * dy) / lengthSq));
+  const point = [aLat + t * (bLat - aLat), aLng + t * (bLng - aLng)];
+  return { point, distance: getDistanceMeters(position.lat, position.lng, point[0], point[1]) };
+};
+
+// 從 position 到 target 的剩餘道路距離；geometry ([[lat, lng], ...]) 為終點是 target 的路徑
+export const remainingDistance = (position, target, geometry) => {
+  if (geometry?.length > 1) {
+    let nearest = null;
+    for (let i = 0; i < geometry.length - 1; i++) {
+      const projection = projectOntoSegment(position, geometry[i], geometry[i + 1]);
+      if (!nearest || projection.distance < nearest.distance) nearest = { ...projection, index: i };
+    }
+    if (nearest.distance <= OFF_ROUTE_DISTANCE) {
+      return nearest.distance + polylineLength([nearest.point, ...geometry.slice(nearest.index + 1)]);
+    }
+  }
+  return distanceBetween(position, target) * DETOUR_FACTOR;
+};
+
+/**
+ * position: 司機目前位置；target: 上車點或目的地；track: appendTrackSample 的結果
+ * totalDistance: 整段路程的距離 (未提供時以 track 起點到 target 的距離代替)
+ * 回傳 { distance, directDistance, duration (秒), progress (0~1), speed (m/s) }
+ */
+export const estimateEta = ({ position, target, track, geometry, totalDistance }) => {
+  const distance = remainingDistance(position, target, geometry);
+  const speed = smoothedSpeed(track?.samples || []);
+  const total = totalDistance ?? (track?.origin ? remainingDistance(track.origin, target, geometry) : distance);
+  const progress = total > 0 ? Math.min(1, Math.max(0, 1 - distance / total)) : 1;
+
+  return {
+    distance,
+    directDistance: distanceBetween(position, target),
+    duration: distance / speed,
+    progress,
+    speed
+  };
+};
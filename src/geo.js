@@ -0,0 +1,27 @@
+/**
+ * 地理計算 helper
+ */
+
+// 距離計算 (Haversine formula)，回傳公尺
+export const getDistanceMeters = (lat1, lng1, lat2, lng2) => {
+  const R = 6371e3; // meters
+  const φ1 = lat1 * Math.PI/180;
+  const φ2 = lat2 * Math.PI/180;
+  const Δφ = (lat2-lat1) * Math.PI/180;
+  const Δλ = (lng2-lng1) * Math.PI/180;
+
+  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
+            Math.cos(φ1) * Math.cos(φ2) *
+            Math.sin(Δλ/2) * Math.sin(Δλ/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+
+  return R * c;
+};
+
+// 兩個 {lat, lng} 之間的距離
+export const distanceBetween = (a, b) => getDistanceMeters(a.lat, a.lng, b.lat, b.lng);
+
+// 折線 ([[lat, lng], ...]) 總長度
+export const polylineLength = (points) => points.reduce((sum, point, i) => (
+  i === 0 ? 0 : sum + getDistanceMeters(points[i - 1][0], points[i - 1][1], point[0], point[1])
+), 0);
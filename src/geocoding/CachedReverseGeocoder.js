@@ -0,0 +1,79 @@
+import { createIdbStore } from '../idbStore';
+import { GeocodingProvider } from './GeocodingProvider';
+
+/**
+ * CachedReverseGeocoder - 為反向地理編碼加上 LRU 快取
+ * 以四捨五入後的座標為 key (預設小數 4 位，約 10 公尺)，存在 IndexedDB 跨工作階段保留。
+ * 同一座標同時有多次查詢時只送出一個請求。
+ * provider 失敗時改用 fallback (例如最近的校園地標)，但不快取，下次仍會重新查詢真實地址。
+ */
+
+const store = createIdbStore('ntuber-geocode', 'reverse');
+const STORE_KEY = 'entries-v2'; // v1 可能含有備援的地標名稱，不再沿用
+
+export class CachedReverseGeocoder extends GeocodingProvider {
+  constructor(provider, { fallback = null, maxEntries = 200, precision = 4 } = {}) {
+    super();
+    this.provider = provider;
+    this.fallback = fallback;
+    this.maxEntries = maxEntries;
+    this.precision = precision;
+    this.entries = new Map(); // key -> name，依最近使用排序 (最舊在前)
+    this.pending = new Map(); // key -> Promise<name>
+    this.loading = null;
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  search(query, options) {
+    return this.provider.search(query, options);
+  }
+
+  key(lat, lng) {
+    return `${lat.toFixed(this.precision)},${lng.toFixed(this.precision)}`;
+  }
+
+  load() {
+    this.loading = this.loading || store.get(STORE_KEY)
+      .then(saved => { this.entries = new Map(saved || []); })
+      .catch(err => console.error("讀取地址快取失敗:", err));
+    return this.loading;
+  }
+
+  save() {
+    store.set(STORE_KEY, [...this.entries]).catch(err => console.error("寫入地址快取失敗:", err));
+  }
+
+  async reverse(lat, lng) {
+    await this.load();
+    const key = this.key(lat, lng);
+
+    if (this.entries.has(key)) {
+      const name = this.entries.get(key);
+      this.entries.delete(key);
+      this.entries.set(key, name);
+      return name;
+    }
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const request = this.provider.reverse(lat, lng)
+      .then(name => {
+        this.entries.set(key, name);
+        while (this.entries.size > this.maxEntries) {
+          this.entries.delete(this.entries.keys().next().value);
+        }
+        this.save();
+        return name;
+      })
+      .catch(err => {
+        if (!this.fallback) throw err;
+        console.warn(`反向地理編碼 (${this.provider.name}) 失敗，改用 ${this.fallback.name}:`, err.message);
+        return this.fallback.reverse(lat, lng);
+      })
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, request);
+    return request;
+  }
+}
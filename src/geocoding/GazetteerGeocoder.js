@@ -0,0 +1,53 @@
+import { distanceBetween } from '../geo';
+import { GeocodingProvider } from './GeocodingProvider';
+import { NTU_GAZETTEER } from './ntuGazetteer';
+
+/**
+ * GazetteerGeocoder - 以內建地名表搜尋，完全離線
+ * 完全相符 > 開頭相符 > 包含相符 (名稱或簡稱皆可)。
+ * 反向查詢回傳 maxDistance 內最近的地標 (「傅鐘附近」)，作為線上服務失敗時的備援。
+ */
+
+const normalize = (text) => text.trim().toLowerCase().replace(/臺/g, '台').replace(/\s+/g, '');
+
+export class GazetteerGeocoder extends GeocodingProvider {
+  constructor(places = NTU_GAZETTEER, { maxDistance = 150 } = {}) {
+    super();
+    this.places = places;
+    this.maxDistance = maxDistance;
+  }
+
+  get name() {
+    return 'gazetteer';
+  }
+
+  async search(query, { limit = 6 } = {}) {
+    const q = normalize(query);
+    if (!q) return [];
+
+    return this.places
+      .map(place => {
+        const terms = [place.name, ...(place.aliases || [])].map(normalize);
+        const score = terms.includes(q) ? 3 : terms.some(t => t.startsWith(q)) ? 2 : terms.some(t => t.includes(q)) ? 1 : 0;
+        return { place, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ place }) => ({
+        name: place.name,
+        label: place.aliases?.length ? place.aliases.join('、') : '',
+        lat: place.lat,
+        lng: place.lng,
+        source: this.name
+      }));
+  }
+
+  async reverse(lat, lng) {
+    const nearest = this.places
+      .map(place => ({ place, distance: distanceBetween(place, { lat, lng }) }))
+      .sort((a, b) => a.distance - b.distance)[0];
+    if (!nearest || nearest.distance > this.maxDistance) throw new Error('附近沒有已知地標');
+    return nearest.distance < 30 ? nearest.place.name : `${nearest.place.name}附近`;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * GeocodingProvider - 地理編碼的共同介面
+ * search(query, { limit, signal }) 回傳建議清單 (signal 中止時可放棄查詢)：
+ *   [{ name, label, lat, lng, source }]  (label 為較完整的說明文字，可為空)
+ * reverse(lat, lng) 回傳該座標的地點名稱 (反向地理編碼)。
+ * 無法使用時丟出錯誤，由 CompositeGeocoder 略過。
+ */
+export class GeocodingProvider {
+  get name() {
+    return this.constructor.name;
+  }
+
+  // (query, { limit, signal })
+  async search() {
+    throw new Error(`${this.constructor.name}.search 尚未實作`);
+  }
+
+  // (lat, lng)
+  async reverse() {
+    throw new Error(`${this.constructor.name}.reverse 尚未實作`);
+  }
+}
+
+// 搜尋：同時查詢所有提供者並合併結果 (前面的優先，同名地點只保留一筆)
+// 反向：依序嘗試，回傳第一個成功的結果
+export class CompositeGeocoder extends GeocodingProvider {
+  constructor(providers) {
+    super();
+    this.providers = providers;
+  }
+
+  get name() {
+    return this.providers.map(p => p.name).join(' + ');
+  }
+
+  async search(query, { limit = 6, signal } = {}) {
+    const results = await Promise.all(this.providers.map(provider =>
+      provider.search(query, { limit, signal }).catch(err => {
+        if (err.name !== 'AbortError') console.warn(`地理編碼 (${provider.name}) 失敗:`, err.message);
+        return [];
+      })
+    ));
+
+    const seen = new Set();
+    return results.flat().filter(place => {
+      if (seen.has(place.name)) return false;
+      seen.add(place.name);
+      return true;
+    }).slice(0, limit);
+  }
+
+  async reverse(lat, lng) {
+    let lastError = null;
+    for (const provider of this.providers) {
+      try {
+        return await provider.reverse(lat, lng);
+      } catch (err) {
+        console.warn(`反向地理編碼 (${provider.name}) 失敗:`, err.message);
+        lastError = err;
+      }
+    }
+    throw lastError || new Error('沒有可用的地理編碼服務');
+  }
+}
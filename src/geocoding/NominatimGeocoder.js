@@ -0,0 +1,60 @@
+import { GeocodingProvider } from './GeocodingProvider';
+import { createRequestQueue } from './requestQueue';
+
+/**
+ * NominatimGeocoder - OpenStreetMap Nominatim 搜尋
+ * 以台大周邊為 viewbox 優先 (不強制限制範圍)，結果使用繁體中文名稱。
+ * 所有請求 (搜尋與反向) 共用一個佇列，依 minInterval 節流；搜尋只保留最新一筆排隊中的請求。
+ */
+
+// 台大周邊 (lng1, lat1, lng2, lat2)
+const NTU_VIEWBOX = '121.520,25.030,121.555,25.005';
+
+export class NominatimGeocoder extends GeocodingProvider {
+  constructor({ baseUrl = 'https://nominatim.openstreetmap.org', timeout = 5000, minInterval = 1000 } = {}) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+    this.schedule = createRequestQueue(minInterval);
+  }
+
+  get name() {
+    return 'nominatim';
+  }
+
+  // options: { key, signal } 見 createRequestQueue；signal 也會中止已送出的請求
+  request(path, params, { key, signal } = {}) {
+    const query = new URLSearchParams({ format: 'jsonv2', 'accept-language': 'zh-TW', ...params });
+    return this.schedule(async () => {
+      const timeout = AbortSignal.timeout(this.timeout);
+      const response = await fetch(`${this.baseUrl}/${path}?${query}`, { signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+      if (!response.ok) throw new Error(`Nominatim HTTP ${response.status}`);
+      return response.json();
+    }, { key, signal });
+  }
+
+  async search(query, { limit = 6, signal } = {}) {
+    const data = await this.request('search', { q: query, limit: String(limit), viewbox: NTU_VIEWBOX }, { key: 'search', signal });
+
+    return data.map(item => ({
+      name: item.name || item.display_name.split(',')[0],
+      label: item.display_name,
+      lat: parseFloat(item.lat),
+      lng: parseFloat(item.lon),
+      source: this.name
+    }));
+  }
+
+  async reverse(lat, lng) {
+    const data = await this.request('reverse', { lat: String(lat), lon: String(lng) });
+    if (data.error) throw new Error(`Nominatim: ${data.error}`);
+    if (data.name) return data.name;
+
+    const addr = data.address || {};
+    const road = addr.road || addr.pedestrian || addr.suburb || "";
+    if (road) return `${road}${addr.house_number || ""}`;
+
+    if (!data.display_name) throw new Error('Nominatim: 查無地址');
+    return data.display_name.split(',')[0];
+  }
+}
@@ -0,0 +1,26 @@
+import { GEOCODER_URL, GEOCODER_AUTOCOMPLETE } from '../config';
+import { CompositeGeocoder } from './GeocodingProvider';
+import { GazetteerGeocoder } from './GazetteerGeocoder';
+import { NominatimGeocoder } from './NominatimGeocoder';
+import { CachedReverseGeocoder } from './CachedReverseGeocoder';
+
+export { useGeocodeSearch } from './useGeocodeSearch';
+
+export const createGeocoders = ({ geocoderUrl = GEOCODER_URL, autocomplete = GEOCODER_AUTOCOMPLETE } = {}) => {
+  const gazetteer = new GazetteerGeocoder();
+  // 同一個 Nominatim 實例供搜尋與反向查詢共用，節流才會一致
+  const online = geocoderUrl ? [new NominatimGeocoder({ baseUrl: geocoderUrl })] : [];
+  const geocoder = new CompositeGeocoder([gazetteer, ...online]);
+  const liveAutocomplete = autocomplete && online.length > 0;
+  return {
+    // 搜尋 (按 Enter 送出)：校園地名優先 (離線可用)，再補上 Nominatim 的結果
+    geocoder,
+    // 自動完成：只用校園地名；自架伺服器 (autocomplete) 才邊打字查詢 Nominatim，且至少 3 個字
+    autocompleteGeocoder: liveAutocomplete ? geocoder : gazetteer,
+    autocompleteMinLength: liveAutocomplete ? 3 : 1,
+    // 反向：Nominatim (結果經快取) → 最近的校園地標 (備援結果不快取)
+    reverseGeocoder: online.length ? new CachedReverseGeocoder(online[0], { fallback: gazetteer }) : gazetteer
+  };
+};
+
+export const { geocoder, autocompleteGeocoder, autocompleteMinLength, reverseGeocoder } = createGeocoders();
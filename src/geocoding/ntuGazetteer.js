@@ -0,0 +1,34 @@
+/**
+ * 台大校園地名表 (離線地理編碼用)
+ * aliases 為學生常用的簡稱，搜尋時與 name 一起比對。
+ */
+export const NTU_GAZETTEER = [
+  // 校門與周邊交通
+  { name: '台大正門', aliases: ['校門口', '大門', '羅斯福路校門'], lat: 25.0173, lng: 121.5337 },
+  { name: '基隆路側門', aliases: ['東門', '基隆路門'], lat: 25.0177, lng: 121.5430 },
+  { name: '舟山路口', aliases: ['舟山路', '公館側門'], lat: 25.0150, lng: 121.5360 },
+  { name: '辛亥路側門', aliases: ['北門', '新生南路門'], lat: 25.0207, lng: 121.5338 },
+  { name: '捷運公館站', aliases: ['公館站', '公館'], lat: 25.0146, lng: 121.5343 },
+  { name: '捷運台電大樓站', aliases: ['台電大樓站', '台電大樓'], lat: 25.0209, lng: 121.5284 },
+
+  // 地標與教學大樓
+  { name: '傅鐘', aliases: ['椰林大道'], lat: 25.0173, lng: 121.5360 },
+  { name: '總圖書館', aliases: ['總圖', '圖書館'], lat: 25.0174, lng: 121.5405 },
+  { name: '醉月湖', aliases: ['湖邊'], lat: 25.0194, lng: 121.5405 },
+  { name: '行政大樓', aliases: ['行政'], lat: 25.0168, lng: 121.5367 },
+  { name: '博雅教學館', aliases: ['博雅'], lat: 25.0176, lng: 121.5372 },
+  { name: '普通教學館', aliases: ['普通'], lat: 25.0168, lng: 121.5378 },
+  { name: '共同教學館', aliases: ['共同'], lat: 25.0170, lng: 121.5390 },
+  { name: '新生教學館', aliases: ['新生'], lat: 25.0192, lng: 121.5362 },
+  { name: '工學院綜合大樓', aliases: ['工綜'], lat: 25.0190, lng: 121.5430 },
+  { name: '德田館', aliases: ['資工系館', '資訊系館'], lat: 25.0195, lng: 121.5440 },
+  { name: '管理學院', aliases: ['管院'], lat: 25.0140, lng: 121.5395 },
+  { name: '社會科學院', aliases: ['社科院'], lat: 25.0207, lng: 121.5425 },
+
+  // 生活機能
+  { name: '小福', aliases: ['小福樓'], lat: 25.0169, lng: 121.5414 },
+  { name: '學生活動中心', aliases: ['活大', '第一學生活動中心'], lat: 25.0167, lng: 121.5425 },
+  { name: '第二學生活動中心', aliases: ['二活'], lat: 25.0182, lng: 121.5426 },
+  { name: '新體育館', aliases: ['新體'], lat: 25.0214, lng: 121.5357 },
+  { name: '水源校區', aliases: ['水源'], lat: 25.0128, lng: 121.5296 }
+];
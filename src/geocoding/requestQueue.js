@@ -0,0 +1,60 @@
+/**
+ * 依序執行請求，且相鄰兩次開始時間至少間隔 minInterval 毫秒
+ * (Nominatim 公用伺服器的使用規範為每秒最多一次)。
+ * 回傳 schedule(task, { key, signal })，task 為回傳 Promise 的函數：
+ *   - 同一 key 的新請求取代尚在排隊的舊請求 (例如邊打字邊搜尋，只需要最後一次的結果)
+ *   - signal 中止時，尚在排隊的請求直接移除
+ *   - 排隊超過 maxLength 時捨棄最舊的請求
+ * 被移除的請求以 AbortError 拒絕。
+ */
+
+const abortError = (message) => new DOMException(message, 'AbortError');
+
+export const createRequestQueue = (minInterval, { maxLength = 5 } = {}) => {
+  const queue = []; // { task, key, signal, resolve, reject, onAbort }
+  let nextStart = 0;
+  let draining = false;
+
+  const remove = (entry, message) => {
+    const index = queue.indexOf(entry);
+    if (index === -1) return;
+    queue.splice(index, 1);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    entry.reject(abortError(message));
+  };
+
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    while (queue.length) {
+      const wait = nextStart - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      // 等待期間可能被取代或中止
+      const entry = queue.shift();
+      if (!entry) break;
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      nextStart = Date.now() + minInterval;
+      // 單一請求失敗不影響後續排隊的請求
+      try {
+        entry.resolve(await entry.task());
+      } catch (err) {
+        entry.reject(err);
+      }
+    }
+    draining = false;
+  };
+
+  return (task, { key = null, signal = null } = {}) => {
+    if (signal?.aborted) return Promise.reject(abortError('請求已取消'));
+    return new Promise((resolve, reject) => {
+      const entry = { task, key, signal, resolve, reject };
+      entry.onAbort = () => remove(entry, '請求已取消');
+      signal?.addEventListener('abort', entry.onAbort);
+
+      if (key !== null) queue.filter(e => e.key === key).forEach(e => remove(e, '已被較新的請求取代'));
+      queue.push(entry);
+      while (queue.length > maxLength) remove(queue[0], '排隊的請求過多');
+      drain();
+    });
+  };
+};
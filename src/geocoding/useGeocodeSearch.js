@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * 邊打字邊搜尋：輸入停止 delay 毫秒後以 geocoder 查詢，且至少 minLength 個字才查詢。
+ * submit() 為使用者明確送出 (按 Enter) 時改用 searchGeocoder 查詢，結果取代自動完成的建議
+ * (Nominatim 公用伺服器禁止自動完成，只能在送出時查詢)。
+ * query 為 null 時 (例如輸入框未聚焦) 不查詢並回傳空陣列。
+ * 回傳 { places, searching, submit }
+ */
+export const useGeocodeSearch = (geocoder, query, { searchGeocoder = geocoder, minLength = 1, delay = 300 } = {}) => {
+  const [result, setResult] = useState({ query: null, places: [] });
+  const [submitted, setSubmitted] = useState({ query: null, places: null });
+  const trimmed = query?.trim() || '';
+  const active = trimmed.length >= minLength;
+
+  useEffect(() => {
+    if (!active) return;
+    // 輸入改變時中止舊的查詢 (線上服務有節流佇列，不讓過時的查詢排隊)
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      geocoder.search(trimmed, { signal: controller.signal })
+        .then(places => { if (!controller.signal.aborted) setResult({ query: trimmed, places }); })
+        .catch(err => { if (err.name !== 'AbortError') console.error("地點搜尋失敗:", err); });
+    }, delay);
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, [geocoder, trimmed, active, delay]);
+
+  const submit = useCallback(() => {
+    if (!trimmed) return;
+    setSubmitted({ query: trimmed, places: null });
+    searchGeocoder.search(trimmed)
+      .then(places => setSubmitted(current => (current.query === trimmed ? { query: trimmed, places } : current)))
+      .catch(err => {
+        console.error("地點搜尋失敗:", err);
+        setSubmitted(current => (current.query === trimmed ? { query: trimmed, places: [] } : current));
+      });
+  }, [searchGeocoder, trimmed]);
+
+  const isSubmitted = trimmed && submitted.query === trimmed;
+  const places = isSubmitted && submitted.places
+    ? submitted.places
+    : active && result.query === trimmed ? result.places : [];
+  return { places, searching: !!isSubmitted && !submitted.places, submit };
+};
@@ -0,0 +1,7 @@
+/**
+ * 組 HTML 字串時使用 (Leaflet popup、列印收據)
+ * 地點名稱等欄位來自鏈上，任何人都能寫入，插入 HTML 前一律跳脫。
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]
+));
@@ -0,0 +1,62 @@
+/**
+ * idbStore - 極簡 IndexedDB key-value 包裝
+ * 每個 (dbName, storeName) 對應一個獨立資料庫，值以 structured clone 儲存 (可含 BigInt)。
+ * 瀏覽器不支援或被封鎖時 (例如無痕模式)，退回記憶體 Map，呼叫端不需特別處理。
+ */
+
+const openDatabase = (dbName, storeName) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(dbName, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const createMemoryStore = () => {
+  const map = new Map();
+  return {
+    get: async (key) => map.get(key),
+    set: async (key, value) => { map.set(key, value); },
+    delete: async (key) => { map.delete(key); },
+    keys: async () => [...map.keys()],
+    clear: async () => map.clear()
+  };
+};
+
+export const createIdbStore = (dbName, storeName = 'keyval') => {
+  if (typeof indexedDB === 'undefined') return createMemoryStore();
+
+  let dbPromise = null;
+  let fallback = null;
+
+  // 只有開啟資料庫失敗才改用記憶體；個別操作的錯誤照常拋出
+  const getDatabase = async () => {
+    if (fallback) return null;
+    try {
+      dbPromise = dbPromise || openDatabase(dbName, storeName);
+      return await dbPromise;
+    } catch (err) {
+      console.error(`IndexedDB (${dbName}) 無法使用，改用記憶體儲存:`, err);
+      fallback = createMemoryStore();
+      return null;
+    }
+  };
+
+  const call = async (mode, idbAction, memoryAction) => {
+    const db = await getDatabase();
+    if (!db) return memoryAction(fallback);
+    return promisify(idbAction(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  return {
+    get: (key) => call('readonly', s => s.get(key), m => m.get(key)),
+    set: (key, value) => call('readwrite', s => s.put(value, key), m => m.set(key, value)),
+    delete: (key) => call('readwrite', s => s.delete(key), m => m.delete(key)),
+    keys: () => call('readonly', s => s.getAllKeys(), m => m.keys()),
+    clear: () => call('readwrite', s => s.clear(), m => m.clear())
+  };
+};
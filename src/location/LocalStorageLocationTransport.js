@@ -0,0 +1,39 @@
+import { LocationTransport } from './LocationTransport';
+
+/**
+ * LocalStorageLocationTransport - 以 localStorage 在同一瀏覽器的分頁間傳遞位置
+ * 其他分頁寫入時會觸發 storage 事件，因此乘客端不需輪詢。
+ * 不需任何伺服器，作為 WebSocket 中繼的備援。
+ */
+
+const storageKey = (rideId) => `ntuber_driver_location_${rideId}`;
+
+const parse = (value) => {
+  try {
+    const update = JSON.parse(value);
+    // 位置更新與金鑰交換訊息都帶有 timestamp (內容由接收端驗證)
+    return update && typeof update.timestamp === 'number' ? update : null;
+  } catch {
+    return null;
+  }
+};
+
+export class LocalStorageLocationTransport extends LocationTransport {
+  publish(rideId, update) {
+    localStorage.setItem(storageKey(rideId), JSON.stringify(update));
+  }
+
+  subscribe(rideId, listener) {
+    const key = storageKey(rideId);
+    const stored = parse(localStorage.getItem(key));
+    if (stored) listener(stored);
+
+    const handleStorage = (event) => {
+      if (event.key !== key || !event.newValue) return;
+      const update = parse(event.newValue);
+      if (update) listener(update);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+}
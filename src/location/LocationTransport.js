@@ -0,0 +1,64 @@
+/**
+ * LocationTransport - 司機位置的傳輸介面
+ * 位置更新的形狀為 { lat, lng, timestamp } (timestamp 為毫秒)。
+ *   publish(rideId, update)       司機端送出位置
+ *   subscribe(rideId, listener)   乘客端接收推播，回傳取消訂閱函數
+ *   onStatus(listener)            連線狀態變化 (訂閱時立即回呼一次)，回傳取消訂閱函數
+ * rideId 即頻道名稱；接單後的金鑰交換也經由同一傳輸，使用 `${rideId}:handshake` 等頻道 (見 src/privacy)。
+ * 連線狀態：'online' 已連上中繼伺服器、'connecting' 連線/重連中、'local' 僅限同一瀏覽器
+ */
+export class LocationTransport {
+  constructor() {
+    this.status = 'local';
+    this.statusListeners = [];
+  }
+
+  // (rideId, update)
+  publish() {
+    throw new Error(`${this.constructor.name}.publish 尚未實作`);
+  }
+
+  // (rideId, listener)
+  subscribe() {
+    throw new Error(`${this.constructor.name}.subscribe 尚未實作`);
+  }
+
+  onStatus(listener) {
+    this.statusListeners.push(listener);
+    listener(this.status);
+    return () => {
+      this.statusListeners = this.statusListeners.filter(cb => cb !== listener);
+    };
+  }
+
+  setStatus(status) {
+    if (status === this.status) return;
+    this.status = status;
+    this.statusListeners.forEach(cb => cb(status));
+  }
+}
+
+// 同時經由多個傳輸送出與接收，只轉發比上一筆更新的位置；連線狀態以第一個 (主要) 傳輸為準
+export class CompositeLocationTransport extends LocationTransport {
+  constructor(transports) {
+    super();
+    this.transports = transports;
+    this.status = transports[0].status;
+    transports[0].onStatus(status => this.setStatus(status));
+  }
+
+  publish(rideId, update) {
+    this.transports.forEach(t => t.publish(rideId, update));
+  }
+
+  subscribe(rideId, listener) {
+    let latest = 0;
+    const forward = (update) => {
+      if (update.timestamp <= latest) return;
+      latest = update.timestamp;
+      listener(update);
+    };
+    const unsubscribes = this.transports.map(t => t.subscribe(rideId, forward));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+}
@@ -0,0 +1,89 @@
+import { LocationTransport } from './LocationTransport';
+
+/**
+ * WebSocketLocationTransport - 經由中繼伺服器 (server/locationRelay.js) 跨裝置傳遞位置
+ * 協定 (JSON)：
+ *   client → relay  { type: 'subscribe' | 'unsubscribe', rideId }、{ type: 'publish', rideId, location }
+ *   relay → client  { type: 'location', rideId, location }  (訂閱時會先收到最後一筆位置)
+ * 第一次 publish/subscribe 時才連線；斷線後以指數退避重連，並重新訂閱、補送最後一筆位置。
+ */
+export class WebSocketLocationTransport extends LocationTransport {
+  constructor(url, { reconnectDelay = 1000, maxReconnectDelay = 15000 } = {}) {
+    super();
+    this.url = url;
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.status = 'connecting';
+    this.socket = null;
+    this.retryDelay = reconnectDelay;
+    this.retryTimer = null;
+    this.channels = new Map(); // rideId -> Set<listener>
+    this.lastPublished = new Map(); // rideId -> update
+  }
+
+  connect() {
+    if (this.socket || this.retryTimer) return;
+    this.setStatus('connecting');
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.retryDelay = this.reconnectDelay;
+      this.setStatus('online');
+      this.channels.forEach((_, rideId) => this.send({ type: 'subscribe', rideId }));
+      this.lastPublished.forEach((location, rideId) => this.send({ type: 'publish', rideId, location }));
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (message.type !== 'location') return;
+      this.channels.get(String(message.rideId))?.forEach(cb => cb(message.location));
+    };
+
+    socket.onclose = () => {
+      this.socket = null;
+      this.setStatus('connecting');
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        this.connect();
+      }, this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, this.maxReconnectDelay);
+    };
+  }
+
+  send(message) {
+    if (this.socket?.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(message));
+  }
+
+  publish(rideId, update) {
+    this.connect();
+    this.lastPublished.set(String(rideId), update);
+    this.send({ type: 'publish', rideId: String(rideId), location: update });
+  }
+
+  subscribe(rideId, listener) {
+    this.connect();
+    const key = String(rideId);
+    if (!this.channels.has(key)) {
+      this.channels.set(key, new Set());
+      this.send({ type: 'subscribe', rideId: key });
+    }
+    this.channels.get(key).add(listener);
+
+    return () => {
+      const listeners = this.channels.get(key);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.channels.delete(key);
+        this.send({ type: 'unsubscribe', rideId: key });
+      }
+    };
+  }
+}
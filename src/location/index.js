@@ -0,0 +1,18 @@
+import { LOCATION_RELAY_URL } from '../config';
+import { CompositeLocationTransport } from './LocationTransport';
+import { LocalStorageLocationTransport } from './LocalStorageLocationTransport';
+import { WebSocketLocationTransport } from './WebSocketLocationTransport';
+
+export { createLocationSigner, LocationVerifier } from './signedLocation';
+
+// 超過此時間沒有收到司機位置即視為過時 (ms)
+export const LOCATION_STALE_AFTER = 15000;
+
+// 有設定中繼伺服器時同時走 WebSocket 與 localStorage (同一瀏覽器的分頁在中繼斷線時仍可同步)
+export const createLocationTransport = ({ relayUrl = LOCATION_RELAY_URL } = {}) => {
+  const local = new LocalStorageLocationTransport();
+  if (!relayUrl) return local;
+  return new CompositeLocationTransport([new WebSocketLocationTransport(relayUrl), local]);
+};
+
+export const locationTransport = createLocationTransport();
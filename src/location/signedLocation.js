@@ -0,0 +1,139 @@
+import { ethers } from 'ethers';
+
+/**
+ * 司機位置簽章
+ * 司機對每個行程產生一把臨時的 session key，並以錢包簽署一次授權訊息
+ * (「此 session key 可代表我回報第 N 筆行程的位置，直到某時間」)；
+ * 之後每筆 GPS 更新都由 session key 在本地簽章，不會再跳出錢包視窗。
+ *
+ * 乘客端 (LocationVerifier) 對每筆更新檢查：
+ *   1. 授權簽章的簽署者是該行程鏈上記錄的司機，且授權未過期
+ *   2. 更新的簽署者是被授權的 session key
+ *   3. 時間戳記不可過舊、不可在未來，且必須比上一筆新 (防重放)
+ * 同一把 session key 也用來與乘客交換金鑰以取得精確上車點 (見 src/privacy/keyExchange.js)。
+ */
+
+const SESSION_STORAGE_PREFIX = 'ntuber_location_session_';
+const SESSION_TTL = 6 * 60 * 60 * 1000; // session key 授權有效期 (ms)
+const MAX_LOCATION_AGE = 60000; // 超過此時間的更新視為過時 (ms)
+const MAX_CLOCK_SKEW = 30000; // 容許裝置間的時鐘誤差 (ms)
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// 錢包簽署的授權內容 (人類可讀，於錢包視窗中顯示)
+const authorizationMessage = ({ scope, rideId, sessionAddress, expiresAt }) => [
+  'NTUber 司機位置授權',
+  `網路: ${scope}`,
+  `行程: #${rideId}`,
+  `Session key: ${sessionAddress}`,
+  `有效至: ${new Date(expiresAt).toISOString()}`
+].join('\n');
+
+const updateMessage = ({ scope, rideId, lat, lng, timestamp }) =>
+  `NTUber location|${scope}|${rideId}|${lat}|${lng}|${timestamp}`;
+
+// 同一行程同時要求簽章器時 (位置廣播與金鑰交換) 共用同一次錢包授權
+const pendingSigners = new Map(); // storageKey -> Promise
+
+/**
+ * 取得 (必要時建立並請錢包授權) 某行程的位置簽章器
+ * session 存在 sessionStorage，重新整理後不需再次授權
+ */
+export const createLocationSigner = (backend, rideId) => {
+  const storageKey = `${SESSION_STORAGE_PREFIX}${backend.cacheKey}:${rideId}`;
+  if (!pendingSigners.has(storageKey)) {
+    const pending = loadLocationSigner(backend, rideId, storageKey).finally(() => pendingSigners.delete(storageKey));
+    pendingSigners.set(storageKey, pending);
+  }
+  return pendingSigners.get(storageKey);
+};
+
+const loadLocationSigner = async (backend, rideId, storageKey) => {
+  const scope = backend.cacheKey;
+
+  let session = null;
+  try {
+    session = JSON.parse(sessionStorage.getItem(storageKey));
+  } catch {
+    session = null;
+  }
+
+  if (!session || session.expiresAt - Date.now() < MAX_LOCATION_AGE) {
+    const wallet = ethers.Wallet.createRandom();
+    const expiresAt = Date.now() + SESSION_TTL;
+    const signature = await backend.signMessage(authorizationMessage({ scope, rideId, sessionAddress: wallet.address, expiresAt }));
+    session = { privateKey: wallet.privateKey, address: wallet.address, expiresAt, signature };
+    sessionStorage.setItem(storageKey, JSON.stringify(session));
+  }
+
+  const sessionWallet = new ethers.Wallet(session.privateKey);
+  const authorization = { address: session.address, expiresAt: session.expiresAt, signature: session.signature };
+
+  return {
+    authorization,
+    publicKey: sessionWallet.signingKey.compressedPublicKey,
+    // ({ lat, lng, timestamp }) => 帶簽章的位置更新
+    sign: (update) => ({
+      ...update,
+      session: authorization,
+      signature: sessionWallet.signMessageSync(updateMessage({ scope, rideId, ...update }))
+    }),
+    // 以 session key 簽署任意訊息 (金鑰交換)
+    signMessage: (message) => sessionWallet.signMessageSync(message),
+    // (publicKey) => ECDH 共享點
+    computeSharedSecret: (publicKey) => sessionWallet.signingKey.computeSharedSecret(publicKey)
+  };
+};
+
+export class LocationVerifier {
+  constructor(scope, rideId, driver) {
+    this.scope = scope;
+    this.rideId = rideId;
+    this.driver = driver;
+    this.lastTimestamp = 0;
+    this.trustedSessions = new Map(); // `${address}:${signature}` -> 是否為司機授權
+  }
+
+  isAuthorizedSession(session) {
+    const key = `${session.address}:${session.signature}`;
+    if (!this.trustedSessions.has(key)) {
+      let signer = null;
+      try {
+        signer = ethers.verifyMessage(authorizationMessage({
+          scope: this.scope,
+          rideId: this.rideId,
+          sessionAddress: session.address,
+          expiresAt: session.expiresAt
+        }), session.signature);
+      } catch {
+        signer = null;
+      }
+      this.trustedSessions.set(key, sameAddress(signer, this.driver));
+    }
+    return this.trustedSessions.get(key);
+  }
+
+  // 回傳 { ok: true } 或 { ok: false, reason, stale? }
+  // stale 為 true 表示簽章有效、只是過時或已收過 (例如中繼/localStorage 重送的最後一筆)，不代表遭竄改
+  verify(update, now = Date.now()) {
+    const { lat, lng, timestamp, session, signature } = update;
+    if (!session || !signature || !Number.isFinite(timestamp)) return { ok: false, reason: '未簽章的位置' };
+    if (!this.isAuthorizedSession(session)) return { ok: false, reason: '簽署者不是本行程的司機' };
+    if (session.expiresAt < now) return { ok: false, reason: '位置授權已過期' };
+
+    let signer = null;
+    try {
+      signer = ethers.verifyMessage(updateMessage({ scope: this.scope, rideId: this.rideId, lat, lng, timestamp }), signature);
+    } catch {
+      signer = null;
+    }
+    if (!sameAddress(signer, session.address)) return { ok: false, reason: '位置簽章無效' };
+
+    if (timestamp > now + MAX_CLOCK_SKEW) return { ok: false, reason: '時間戳記在未來' };
+    if (timestamp < now - MAX_LOCATION_AGE) return { ok: false, stale: true, reason: '位置已過時' };
+    if (timestamp <= this.lastTimestamp) return { ok: false, stale: true, reason: '重複或較舊的位置' };
+
+    this.lastTimestamp = timestamp;
+    return { ok: true };
+  }
+}
@@ -0,0 +1,60 @@
+import { NETWORK, RPC_URL_OVERRIDE, CONTRACT_ADDRESS_OVERRIDE, DEPLOY_BLOCK_OVERRIDE } from './config';
+
+/**
+ * 網路註冊表 - 每個部署目標的鏈 ID、RPC、合約地址、部署區塊、區塊瀏覽器與原生幣
+ * 透過 VITE_NETWORK 選擇，VITE_RPC_URL / VITE_CONTRACT_ADDRESS / VITE_DEPLOY_BLOCK 可覆寫個別欄位
+ * (例如本地 Hardhat/Anvil 每次部署的合約地址都不同)。
+ */
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+export const NETWORKS = {
+  sepolia: {
+    key: 'sepolia',
+    name: 'Sepolia',
+    chainId: 11155111,
+    // 公用節點 (PublicNode)，有流量限制；正式環境請以 VITE_RPC_URL 指向自己的節點服務
+    rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com',
+    contractAddress: '0xa5a5d38a99dcd0863C62347337Bf90093A54eFeE',
+    deployBlock: null, // 未知：歷史事件只回溯最近一段區塊
+    explorerUrl: 'https://sepolia.etherscan.io',
+    nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 }
+  },
+  // Hardhat (npx hardhat node) 與 Anvil 預設皆為 31337 / 8545
+  localhost: {
+    key: 'localhost',
+    name: 'Localhost 8545',
+    chainId: 31337,
+    rpcUrl: 'http://127.0.0.1:8545',
+    contractAddress: '',
+    deployBlock: 0,
+    explorerUrl: null,
+    nativeCurrency: ETH
+  }
+};
+
+// 錢包 RPC 需要 0x 開頭的十六進位鏈 ID
+export const toHexChainId = (chainId) => '0x' + Number(chainId).toString(16);
+
+export const getNetwork = (key = NETWORK) => {
+  const network = NETWORKS[key];
+  if (!network) throw new Error(`未知的網路設定: ${key}`);
+  return {
+    ...network,
+    rpcUrl: RPC_URL_OVERRIDE || network.rpcUrl,
+    contractAddress: CONTRACT_ADDRESS_OVERRIDE || network.contractAddress,
+    deployBlock: DEPLOY_BLOCK_OVERRIDE ? Number(DEPLOY_BLOCK_OVERRIDE) : network.deployBlock
+  };
+};
+
+// 區塊瀏覽器的交易頁面，網路沒有瀏覽器 (例如本地鏈) 時為 null
+export const getExplorerTxUrl = (network, hash) => (network.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null);
+
+// wallet_addEthereumChain 的參數格式 (EIP-3085)
+export const toAddChainParams = (network) => ({
+  chainId: toHexChainId(network.chainId),
+  chainName: network.name,
+  rpcUrls: [network.rpcUrl],
+  nativeCurrency: network.nativeCurrency,
+  blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : null
+});
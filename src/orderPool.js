@@ -0,0 +1,60 @@
+import { distanceBetween } from './geo';
+
+/**
+ * 司機訂單池：依距離排序、篩選，並將上車點分群顯示在地圖上
+ * 距離皆為直線距離 (公尺)；車資以 NTD 計算 (rate 為 1 ETH 兌換的 NTD)。
+ */
+
+export const RADIUS_OPTIONS = [null, 500, 1000, 2000, 3000]; // null 表示不限
+export const MIN_FARE_OPTIONS = [0, 30, 50, 80, 100];
+export const DEFAULT_POOL_FILTER = { maxRadius: null, minFare: 0 };
+
+const CLUSTER_RADIUS = 80; // 上車點在此距離內合併為同一群 (m)；公開的上車點是約 150 m 的格子中心，同一格子的訂單必定合併
+
+// 為每筆訂單加上 pickupDistance (司機到上車點)、tripDistance、fareNTD、farePerKm
+export const describeOpenRide = (ride, origin, rate) => {
+  const fareNTD = Math.floor(parseFloat(ride.amount) * rate);
+  const tripDistance = ride.pickupCoords && ride.dropoffCoords ? distanceBetween(ride.pickupCoords, ride.dropoffCoords) : null;
+  return {
+    ...ride,
+    fareNTD,
+    pickupDistance: origin && ride.pickupCoords ? distanceBetween(origin, ride.pickupCoords) : null,
+    tripDistance,
+    farePerKm: tripDistance ? fareNTD / Math.max(tripDistance / 1000, 0.1) : null
+  };
+};
+
+/**
+ * 篩選並排序：上車點近的在前，無法計算距離的排在最後 (依編號由新到舊)
+ * 沒有司機位置時不套用半徑篩選
+ */
+export const rankOpenRides = (rides, { origin, rate, maxRadius = null, minFare = 0 }) => rides
+  .map(ride => describeOpenRide(ride, origin, rate))
+  .filter(ride => ride.fareNTD >= minFare)
+  .filter(ride => !maxRadius || ride.pickupDistance === null || ride.pickupDistance <= maxRadius)
+  .sort((a, b) => {
+    if (a.pickupDistance === null && b.pickupDistance === null) return b.id - a.id;
+    if (a.pickupDistance === null) return 1;
+    if (b.pickupDistance === null) return -1;
+    return a.pickupDistance - b.pickupDistance;
+  });
+
+// 依序將上車點併入距離 radius 內的第一個群，群中心為成員平均位置
+export const clusterPickups = (rides, radius = CLUSTER_RADIUS) => {
+  const clusters = [];
+  rides.filter(ride => ride.pickupCoords).forEach(ride => {
+    const cluster = clusters.find(c => distanceBetween(c, ride.pickupCoords) <= radius);
+    if (cluster) {
+      cluster.rides.push(ride);
+      cluster.lat += (ride.pickupCoords.lat - cluster.lat) / cluster.rides.length;
+      cluster.lng += (ride.pickupCoords.lng - cluster.lng) / cluster.rides.length;
+    } else {
+      clusters.push({ lat: ride.pickupCoords.lat, lng: ride.pickupCoords.lng, rides: [ride] });
+    }
+  });
+  return clusters;
+};
+
+export const formatDistance = (meters) => (
+  meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`
+);
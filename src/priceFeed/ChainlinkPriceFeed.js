@@ -0,0 +1,57 @@
+import { Contract, JsonRpcProvider, formatUnits } from 'ethers';
+import { PriceFeed } from './PriceFeed';
+
+// Chainlink AggregatorV3Interface (只用到讀取最新報價的部分)
+const AGGREGATOR_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)"
+];
+
+/**
+ * ChainlinkPriceFeed - 鏈上預言機 (Chainlink 相容的 aggregator)
+ * 沒有直接的 ETH/TWD 喂價時可串接多個 aggregator 相乘，invert 的項目改為相除，
+ * 例如 [ETH/USD, { TWD/USD, invert }] 即為 ETH/TWD。
+ * 法幣之間的匯率變動慢、更新頻率也低，報價時間以第一個 (ETH) 喂價為準。
+ */
+export class ChainlinkPriceFeed extends PriceFeed {
+  // chainId 為選填：已知時不必先向 RPC 查詢網路
+  constructor({ rpcUrl, chainId, aggregators, timeout = 8000 }) {
+    super();
+    this.provider = new JsonRpcProvider(rpcUrl, chainId, { staticNetwork: true });
+    this.aggregators = aggregators.map(({ address, invert = false }) => ({
+      contract: new Contract(address, AGGREGATOR_ABI, this.provider),
+      invert
+    }));
+    this.timeout = timeout;
+    this.decimals = new Map(); // aggregator -> decimals (不會變動，只查一次)
+  }
+
+  get name() {
+    return 'chainlink';
+  }
+
+  async readAggregator({ contract, invert }) {
+    if (!this.decimals.has(contract)) this.decimals.set(contract, Number(await contract.decimals()));
+    const { answer, updatedAt } = await contract.latestRoundData();
+    if (answer <= 0n) throw new Error(`預言機 ${contract.target} 回傳無效報價: ${answer}`);
+    const value = Number(formatUnits(answer, this.decimals.get(contract)));
+    return { value: invert ? 1 / value : value, updatedAt: Number(updatedAt) * 1000 };
+  }
+
+  async getRate() {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('預言機查詢逾時')), this.timeout);
+    });
+    try {
+      const legs = await Promise.race([Promise.all(this.aggregators.map(a => this.readAggregator(a))), timeout]);
+      return {
+        rate: legs.reduce((rate, leg) => rate * leg.value, 1),
+        updatedAt: legs[0].updatedAt,
+        source: this.name
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
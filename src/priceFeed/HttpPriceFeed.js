@@ -0,0 +1,33 @@
+import { PriceFeed } from './PriceFeed';
+
+/**
+ * HttpPriceFeed - CoinGecko 相容的 HTTP 報價 (/simple/price)
+ * 可指向公開 API 或自架的代理 (避免公開 API 的流量限制)。
+ */
+export class HttpPriceFeed extends PriceFeed {
+  constructor({ baseUrl, timeout = 5000 }) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  get name() {
+    return 'coingecko';
+  }
+
+  async getRate() {
+    const url = `${this.baseUrl}/simple/price?ids=ethereum&vs_currencies=twd&include_last_updated_at=true`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) throw new Error(`匯率 HTTP ${response.status}`);
+    const data = await response.json();
+    const quote = data.ethereum;
+    if (!quote?.twd) throw new Error('匯率回應缺少 ethereum.twd');
+
+    return {
+      rate: quote.twd,
+      // 沒有報價時間時以收到回應的時間代替
+      updatedAt: quote.last_updated_at ? quote.last_updated_at * 1000 : Date.now(),
+      source: this.name
+    };
+  }
+}
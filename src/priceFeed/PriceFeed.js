@@ -0,0 +1,62 @@
+/**
+ * PriceFeed - ETH/NTD 匯率來源的共同介面
+ * getRate() 回傳：
+ *   { rate: 1 ETH 兌換的新台幣, updatedAt: 來源報價的時間 (ms，手動匯率為 null), source: 來源名稱 }
+ * 無法取得時丟出錯誤，由 FallbackPriceFeed 改用下一個來源。
+ */
+export class PriceFeed {
+  get name() {
+    return this.constructor.name;
+  }
+
+  async getRate() {
+    throw new Error(`${this.constructor.name}.getRate 尚未實作`);
+  }
+}
+
+// 最後防線：固定匯率 (VITE_ETH_NTD_RATE，預設與舊版相同為 1 ETH = 100,000 NTD)
+export class ManualPriceFeed extends PriceFeed {
+  constructor({ rate }) {
+    super();
+    this.rate = rate;
+  }
+
+  get name() {
+    return 'manual';
+  }
+
+  async getRate() {
+    return { rate: this.rate, updatedAt: null, source: this.name };
+  }
+}
+
+// 依序嘗試多個來源；報價超過 maxAge 視為失效 (例如預言機停止更新)，改用下一個來源
+export class FallbackPriceFeed extends PriceFeed {
+  constructor(feeds, { maxAge = Infinity } = {}) {
+    super();
+    this.feeds = feeds;
+    this.maxAge = maxAge;
+  }
+
+  get name() {
+    return this.feeds.map(f => f.name).join(' → ');
+  }
+
+  async getRate() {
+    let lastError = null;
+    for (const feed of this.feeds) {
+      try {
+        const quote = await feed.getRate();
+        if (!(quote.rate > 0)) throw new Error(`無效的匯率: ${quote.rate}`);
+        if (quote.updatedAt !== null && Date.now() - quote.updatedAt > this.maxAge) {
+          throw new Error(`報價已過期 (${new Date(quote.updatedAt).toLocaleString()})`);
+        }
+        return quote;
+      } catch (err) {
+        console.warn(`匯率來源 (${feed.name}) 失敗，改用下一個來源:`, err.message);
+        lastError = err;
+      }
+    }
+    throw lastError || new Error('沒有可用的匯率來源');
+  }
+}
@@ -0,0 +1,49 @@
+import { PRICE_ORACLES, PRICE_ORACLE_RPC_URL, PRICE_FEED_URL, ETH_NTD_RATE } from '../config';
+import { getNetwork } from '../networks';
+import { ChainlinkPriceFeed } from './ChainlinkPriceFeed';
+import { HttpPriceFeed } from './HttpPriceFeed';
+import { FallbackPriceFeed, ManualPriceFeed } from './PriceFeed';
+
+export { useEthRate } from './useEthRate';
+
+// 報價超過此時間視為過期：來源不採用，UI 顯示警告 (Chainlink ETH/USD 的心跳為 1 小時)
+export const RATE_STALE_AFTER = 2 * 60 * 60 * 1000;
+export const RATE_REFRESH_INTERVAL = 60 * 1000;
+
+export const RATE_SOURCE_LABELS = {
+  chainlink: '鏈上預言機',
+  coingecko: 'CoinGecko',
+  manual: '手動設定'
+};
+
+// "0xETHUSD,/0xTWDUSD" -> [{ address, invert }]，'/' 前綴表示相除
+const parseOracles = (value) => value.split(',')
+  .map(s => s.trim())
+  .filter(Boolean)
+  .map(s => s.startsWith('/') ? { address: s.slice(1), invert: true } : { address: s, invert: false });
+
+// 預言機 (若有設定) → HTTP 報價 (若有設定) → 手動匯率
+export const createPriceFeed = ({
+  oracles = PRICE_ORACLES,
+  oracleRpcUrl = PRICE_ORACLE_RPC_URL,
+  httpUrl = PRICE_FEED_URL,
+  manualRate = ETH_NTD_RATE
+} = {}) => {
+  const feeds = [];
+  const aggregators = parseOracles(oracles);
+  if (aggregators.length) {
+    // 未指定 RPC 時讀取合約所在網路上的預言機
+    const { rpcUrl, chainId } = oracleRpcUrl ? { rpcUrl: oracleRpcUrl } : getNetwork();
+    feeds.push(new ChainlinkPriceFeed({ rpcUrl, chainId, aggregators }));
+  }
+  if (httpUrl) feeds.push(new HttpPriceFeed({ baseUrl: httpUrl }));
+  feeds.push(new ManualPriceFeed({ rate: manualRate }));
+  return new FallbackPriceFeed(feeds, { maxAge: RATE_STALE_AFTER });
+};
+
+export const priceFeed = createPriceFeed();
+
+// 尚未取得任何報價時使用的匯率
+export const MANUAL_QUOTE = { rate: ETH_NTD_RATE, updatedAt: null, source: 'manual' };
+
+export const isRateStale = (quote, now = Date.now()) => quote.updatedAt !== null && now - quote.updatedAt > RATE_STALE_AFTER;
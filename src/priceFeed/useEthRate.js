@@ -0,0 +1,51 @@
+import { useEffect, useState } from 'react';
+
+const RATE_STORAGE_KEY = 'ntuber_eth_rate';
+
+// 上次取得的報價 { rate, updatedAt, source, fetchedAt }；超過 maxAge 的快取不再沿用
+const loadCachedQuote = (maxAge) => {
+  try {
+    const quote = JSON.parse(localStorage.getItem(RATE_STORAGE_KEY));
+    if (!(quote?.rate > 0)) return null;
+    if (quote.updatedAt !== null && Date.now() - quote.updatedAt > maxAge) return null;
+    return quote;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * 定期向 feed 取得 ETH/NTD 匯率並快取在 localStorage，重新整理後先沿用上次的報價再背景更新。
+ * 即時來源都失敗時 feed 會退回手動匯率；此時若手上還有未過期的即時報價則保留它，
+ * 由 UI 依 updatedAt 顯示其新舊程度。
+ */
+export const useEthRate = (feed, fallbackQuote, { refreshInterval, maxAge }) => {
+  const [quote, setQuote] = useState(() => loadCachedQuote(maxAge) || fallbackQuote);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () => feed.getRate()
+      .then(next => {
+        if (cancelled) return;
+        setQuote(current => {
+          const keepLive = next.updatedAt === null && current.updatedAt !== null && Date.now() - current.updatedAt <= maxAge;
+          return keepLive ? current : { ...next, fetchedAt: Date.now() };
+        });
+      })
+      .catch(err => console.error("匯率更新失敗:", err));
+
+    refresh();
+    const timer = setInterval(refresh, refreshInterval);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [feed, refreshInterval, maxAge]);
+
+  // 只快取實際取得的報價 (初始的手動匯率沒有 fetchedAt)
+  useEffect(() => {
+    if (quote.fetchedAt) localStorage.setItem(RATE_STORAGE_KEY, JSON.stringify(quote));
+  }, [quote]);
+
+  return quote;
+};
@@ -0,0 +1,136 @@
+/**
+ * 車資計算 (NTD) 與動態加成
+ * 以路徑規劃的實際距離與預估時間計價，各車種 (src/rideTiers.js) 有各自的費率曲線：
+ *   - 距離：steps 內為固定價 (例如 500 m 內 20 元)，之後 base + 每 100 m per100m 元
+ *   - 時間：超過 includedMinutes 的部分每分鐘加 perMinute 元 (繞路、單行道、上坡等)
+ */
+
+// NTUber Bike 的費率 (也是未指定車種時的預設)
+export const DEFAULT_FARE_CURVE = {
+  steps: [[500, 20], [1000, 30]],
+  base: 40,
+  per100m: 5,
+  includedMinutes: 5,
+  perMinute: 1
+};
+
+export const distanceFareNTD = (distance, curve = DEFAULT_FARE_CURVE) => {
+  const step = curve.steps.find(([maxDistance]) => distance <= maxDistance);
+  if (step) return step[1];
+  const lastStep = curve.steps[curve.steps.length - 1][0];
+  return curve.base + Math.ceil((distance - lastStep) / 100) * curve.per100m;
+};
+
+export const timeFareNTD = (duration, curve = DEFAULT_FARE_CURVE) => (
+  Math.max(0, Math.ceil(duration / 60) - curve.includedMinutes) * curve.perMinute
+);
+
+// route: { distance: 公尺, duration: 秒 }
+export const estimateFareNTD = ({ distance, duration }, curve = DEFAULT_FARE_CURVE) => (
+  distanceFareNTD(distance, curve) + timeFareNTD(duration, curve)
+);
+
+// --- 動態加成 (Surge) ---
+// 依訂單池即時狀況計算倍率：等待中的訂單數、近期接單等待時間、時段。
+// 各因子相乘後限制在 [1, SURGE_CAP]，並取到小數一位。
+
+export const SURGE_CAP = 2.0;
+
+const DEMAND_WINDOW_SEC = 30 * 60; // 只看 30 分鐘內的訂單
+const PENDING_BASELINE = 2; // 等待中訂單超過此數才開始加成
+const PENDING_STEP = 0.1; // 每多一筆 +10%
+const LATENCY_BASELINE_SEC = 120; // 接單等待超過 2 分鐘才開始加成
+const LATENCY_STEP = 0.1; // 每多一分鐘 +10%
+
+// 平日尖峰時段 (分鐘數起訖)；其餘上課時段的整點後 20 分鐘為下課人潮
+const PEAK_WINDOWS = [
+  { start: 7 * 60 + 40, end: 8 * 60 + 20, factor: 1.2, label: '早上第一堂課' },
+  { start: 12 * 60, end: 13 * 60 + 30, factor: 1.15, label: '午餐時段' },
+  { start: 17 * 60 + 20, end: 18 * 60 + 30, factor: 1.2, label: '放學時段' }
+];
+const CLASS_BREAK = { fromHour: 9, toHour: 17, minutes: 20, factor: 1.1, label: '下課時間' };
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// 只採計有區塊時間且順序合理的接單 (缺少或早於發單時間的 acceptedAt 不列入)
+const isAcceptLatencyKnown = (ride) => (
+  Number.isFinite(ride.acceptedAt) && Number.isFinite(ride.timestamp) && ride.acceptedAt >= ride.timestamp
+);
+
+export const timeOfDayFactor = (date) => {
+  const day = date.getDay();
+  if (day === 0 || day === 6) return { factor: 1, label: null };
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const peak = PEAK_WINDOWS.find(w => minutes >= w.start && minutes < w.end);
+  if (peak) return { factor: peak.factor, label: peak.label };
+
+  const hour = date.getHours();
+  if (hour >= CLASS_BREAK.fromHour && hour <= CLASS_BREAK.toHour && date.getMinutes() < CLASS_BREAK.minutes) {
+    return { factor: CLASS_BREAK.factor, label: CLASS_BREAK.label };
+  }
+  return { factor: 1, label: null };
+};
+
+/**
+ * rides: RideIndexer 的訂單 (timestamp 為發單、acceptedAt 為接單的區塊時間，單位秒；區塊時間未知時 acceptedAt 為 null)
+ * 回傳 { multiplier, factors: [{ label, detail, factor }] }，factors 用來向乘客說明加成原因
+ */
+export const computeSurge = (rides, now = new Date()) => {
+  const nowSec = Math.floor(now.getTime() / 1000);
+  const recent = rides.filter(r => nowSec - r.timestamp <= DEMAND_WINDOW_SEC);
+  const factors = [];
+
+  const pending = recent.filter(r => r.status === 'Created');
+  if (pending.length > PENDING_BASELINE) {
+    factors.push({
+      label: '叫車需求高',
+      detail: `${pending.length} 筆訂單等待司機`,
+      factor: 1 + (pending.length - PENDING_BASELINE) * PENDING_STEP
+    });
+  }
+
+  // 已接單的等待時間，加上仍在等待的訂單目前已等的時間 (尚未被接也代表供給不足)
+  // 兩端都是區塊時間，頁面載入後補查到的舊接單不會因延遲收到而拉長等待時間
+  const latencies = [
+    ...recent.filter(isAcceptLatencyKnown).map(r => r.acceptedAt - r.timestamp),
+    ...pending.map(r => nowSec - r.timestamp)
+  ];
+  const latency = median(latencies);
+  if (latency > LATENCY_BASELINE_SEC) {
+    factors.push({
+      label: '司機供不應求',
+      detail: `接單平均需等 ${Math.round(latency / 60)} 分鐘`,
+      factor: 1 + ((latency - LATENCY_BASELINE_SEC) / 60) * LATENCY_STEP
+    });
+  }
+
+  const timeOfDay = timeOfDayFactor(now);
+  if (timeOfDay.factor > 1) {
+    factors.push({ label: '尖峰時段', detail: timeOfDay.label, factor: timeOfDay.factor });
+  }
+
+  const raw = factors.reduce((product, f) => product * f.factor, 1);
+  const multiplier = Math.round(Math.min(SURGE_CAP, Math.max(1, raw)) * 10) / 10;
+  return { multiplier, capped: raw > SURGE_CAP, factors };
+};
+
+// 把等待中訂單的上車點依約 200 m 的網格分組，供司機地圖顯示需求熱區
+const ZONE_SIZE_DEG = 0.002;
+
+export const getDemandZones = (rides) => {
+  const zones = {};
+  rides.filter(r => r.status === 'Created' && r.pickupCoords).forEach(({ pickupCoords: { lat, lng } }) => {
+    const key = `${Math.round(lat / ZONE_SIZE_DEG)}:${Math.round(lng / ZONE_SIZE_DEG)}`;
+    const zone = zones[key] || (zones[key] = { lat: 0, lng: 0, count: 0 });
+    zone.lat += lat;
+    zone.lng += lng;
+    zone.count += 1;
+  });
+  return Object.values(zones).map(z => ({ lat: z.lat / z.count, lng: z.lng / z.count, count: z.count }));
+};
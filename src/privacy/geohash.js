@@ -0,0 +1,61 @@
+/**
+ * Geohash 編碼 (base32，經緯度位元交錯)
+ * 精度 6 的格子約 1.2 km × 0.6 km，精度 7 約 150 m × 150 m。
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export const encodeGeohash = (lat, lng, precision) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true; // 偶數位元為經度
+
+  while (hash.length < precision) {
+    const range = even ? lngRange : latRange;
+    const coord = even ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+// 回傳格子的中心點與半寬 { lat, lng, latError, lngError }
+export const decodeGeohash = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let even = true;
+
+  for (const char of hash.toLowerCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error(`無效的 geohash 字元: ${char}`);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = even ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      even = !even;
+    }
+  }
+
+  return {
+    lat: (latRange[0] + latRange[1]) / 2,
+    lng: (lngRange[0] + lngRange[1]) / 2,
+    latError: (latRange[1] - latRange[0]) / 2,
+    lngError: (lngRange[1] - lngRange[0]) / 2
+  };
+};
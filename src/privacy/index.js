@@ -0,0 +1,3 @@
+export { encodeGeohash, decodeGeohash } from './geohash';
+export { PUBLIC_GEOHASH_PRECISION, toCoarseLocation, loadRideSecrets, saveRideSecret, forgetRideSecret, sealRideLocations, revealRide } from './rideSecrets';
+export { shareRideLocations, requestRideLocations } from './keyExchange';
@@ -0,0 +1,120 @@
+import { ethers } from 'ethers';
+import { LocationVerifier } from '../location/signedLocation';
+
+/**
+ * 接單後的精確位置交換 (經由司機位置的傳輸通道，頻道為 `${rideId}:handshake` 與 `${rideId}:sealed`)
+ *   1. 司機公布位置 session key 的公鑰，附上錢包對該 session 的授權與 session key 的簽章
+ *   2. 乘客確認授權者是鏈上記錄的接單司機後，以 ECDH (訂單臨時私鑰 × 司機 session 公鑰)
+ *      導出 AES-GCM 金鑰，加密精確的上車點與目的地後送出
+ *   3. 司機以 session 私鑰 × 訂單公鑰導出同一把金鑰解密
+ * 中繼伺服器與其他人只看得到密文；加密時以網路與訂單編號作為附加資料，密文不能挪用到其他訂單。
+ */
+
+const handshakeChannel = (rideId) => `${rideId}:handshake`;
+const sealedChannel = (rideId) => `${rideId}:sealed`;
+
+const handshakeMessage = ({ scope, rideId, publicKey, timestamp }) =>
+  `NTUber handshake|${scope}|${rideId}|${publicKey}|${timestamp}`;
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const deriveKey = (sharedSecret, usage) => crypto.subtle.importKey(
+  'raw',
+  ethers.getBytes(ethers.sha256(sharedSecret)),
+  'AES-GCM',
+  false,
+  [usage]
+);
+
+const additionalData = (scope, rideId) => ethers.toUtf8Bytes(`${scope}|${rideId}`);
+
+// 回傳 { ok: true } 或 { ok: false, reason }
+const verifyHandshake = (verifier, { scope, rideId }, message, now = Date.now()) => {
+  const { publicKey, session, timestamp, signature } = message;
+  if (!publicKey || !session || !signature) return { ok: false, reason: '格式錯誤' };
+  if (!verifier.isAuthorizedSession(session)) return { ok: false, reason: '簽署者不是本行程的司機' };
+  if (session.expiresAt < now) return { ok: false, reason: '授權已過期' };
+
+  let signer = null;
+  try {
+    if (!sameAddress(ethers.computeAddress(publicKey), session.address)) return { ok: false, reason: '公鑰與授權不符' };
+    signer = ethers.verifyMessage(handshakeMessage({ scope, rideId, publicKey, timestamp }), signature);
+  } catch {
+    signer = null;
+  }
+  if (!sameAddress(signer, session.address)) return { ok: false, reason: '簽章無效' };
+  return { ok: true };
+};
+
+/**
+ * 乘客端：收到接單司機的公鑰後，送出加密的精確位置 (司機換了 session key 時會重送)
+ * locations 為 { pickup, dropoff }，回傳取消訂閱函數
+ */
+export const shareRideLocations = (transport, { scope, rideId, driver, privateKey, locations }) => {
+  const verifier = new LocationVerifier(scope, rideId, driver);
+  const signingKey = new ethers.SigningKey(privateKey);
+  let sharedWith = null;
+
+  return transport.subscribe(handshakeChannel(rideId), async (message) => {
+    const result = verifyHandshake(verifier, { scope, rideId }, message);
+    if (!result.ok) {
+      console.warn(`拒絕金鑰交換 (行程 #${rideId}):`, result.reason);
+      return;
+    }
+    if (message.publicKey === sharedWith) return;
+    sharedWith = message.publicKey;
+
+    try {
+      const key = await deriveKey(signingKey.computeSharedSecret(message.publicKey), 'encrypt');
+      const iv = ethers.randomBytes(12);
+      const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(scope, rideId) },
+        key,
+        ethers.toUtf8Bytes(JSON.stringify(locations))
+      );
+      transport.publish(sealedChannel(rideId), {
+        driverKey: message.publicKey,
+        iv: ethers.hexlify(iv),
+        ciphertext: ethers.hexlify(new Uint8Array(ciphertext)),
+        timestamp: Date.now()
+      });
+    } catch (err) {
+      sharedWith = null;
+      console.error("加密上車點失敗:", err);
+    }
+  });
+};
+
+/**
+ * 司機端：公布 session 公鑰並等待乘客的密文，解密成功後呼叫 onReveal({ pickup, dropoff })
+ * signer 為 createLocationSigner 的結果，passengerKey 為訂單上車點附帶的公鑰；回傳取消訂閱函數
+ */
+export const requestRideLocations = (transport, signer, { scope, rideId, passengerKey }, onReveal) => {
+  let revealed = false;
+  const unsubscribe = transport.subscribe(sealedChannel(rideId), async (message) => {
+    // 以舊的 session key 加密 (例如 session 已更新) 的密文等待乘客重送
+    if (revealed || message.driverKey !== signer.publicKey) return;
+    try {
+      const key = await deriveKey(signer.computeSharedSecret(passengerKey), 'decrypt');
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: ethers.getBytes(message.iv), additionalData: additionalData(scope, rideId) },
+        key,
+        ethers.getBytes(message.ciphertext)
+      );
+      revealed = true;
+      onReveal(JSON.parse(ethers.toUtf8String(new Uint8Array(plaintext))));
+    } catch (err) {
+      console.warn(`無法解密乘客位置 (行程 #${rideId}):`, err);
+    }
+  });
+
+  const timestamp = Date.now();
+  transport.publish(handshakeChannel(rideId), {
+    publicKey: signer.publicKey,
+    session: signer.authorization,
+    timestamp,
+    signature: signer.signMessage(handshakeMessage({ scope, rideId, publicKey: signer.publicKey, timestamp }))
+  });
+
+  return unsubscribe;
+};
@@ -0,0 +1,97 @@
+import { ethers } from 'ethers';
+import { NTU_GAZETTEER } from '../geocoding/ntuGazetteer';
+import { distanceBetween } from '../geo';
+import { encodeGeohash, decodeGeohash } from './geohash';
+
+/**
+ * 上車點隱私
+ * 鏈上的訂單只寫約略位置：geohash 格子的中心點與區域名稱，不會公開宿舍等精確地點。
+ * 乘客發單時為該訂單產生一把臨時金鑰，公鑰附在上車點 (key 欄位) 供司機交換金鑰，
+ * 私鑰與精確的上車點/目的地只保存在乘客本機；司機接單後經 keyExchange 取得並保存在司機本機。
+ *
+ * 本機保存的密鑰 (依身分分開，同一瀏覽器的不同分頁身分不互通)：
+ *   { [訂單公鑰]: { privateKey (僅乘客), pickup, dropoff, savedAt } }
+ */
+
+// 7 位 geohash 約 150 m × 150 m：足以讓司機依上車距離排序 (訂單池半徑最小 500 m)，
+// 又不會精確到單一建築；6 位 (約 1.2 km × 0.6 km) 幾乎涵蓋半個校園，排序沒有意義
+export const PUBLIC_GEOHASH_PRECISION = 7;
+
+const LANDMARK_RADIUS = 800; // 格子中心此距離內的地標才用來命名區域 (m)
+const SECRET_TTL = 30 * 24 * 60 * 60 * 1000; // 本機密鑰保存期限 (ms)
+const STORAGE_PREFIX = 'ntuber_ride_secrets_';
+
+const storageKey = (owner) => `${STORAGE_PREFIX}${owner.toLowerCase()}`;
+
+// 區域名稱只由格子決定 (最近的地標)，同一格子內的所有地點名稱相同
+const areaName = (center, geohash) => {
+  const nearest = NTU_GAZETTEER
+    .map(place => ({ place, distance: distanceBetween(center, place) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return nearest && nearest.distance <= LANDMARK_RADIUS ? `${nearest.place.name}周邊` : `區域 ${geohash}`;
+};
+
+// 公開的約略位置 { name, lat, lng, geohash }
+export const toCoarseLocation = ({ lat, lng }, precision = PUBLIC_GEOHASH_PRECISION) => {
+  const geohash = encodeGeohash(lat, lng, precision);
+  const center = decodeGeohash(geohash);
+  return { name: areaName(center, geohash), lat: center.lat, lng: center.lng, geohash };
+};
+
+// --- 本機密鑰 ---
+
+export const loadRideSecrets = (owner) => {
+  if (!owner) return {};
+  let secrets = {};
+  try {
+    secrets = JSON.parse(localStorage.getItem(storageKey(owner))) || {};
+  } catch {
+    secrets = {};
+  }
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(secrets).filter(([, secret]) => now - secret.savedAt < SECRET_TTL));
+};
+
+// 寫入一筆密鑰，回傳更新後的全部密鑰
+export const saveRideSecret = (owner, publicKey, secret) => {
+  const secrets = { ...loadRideSecrets(owner), [publicKey]: { ...secret, savedAt: Date.now() } };
+  localStorage.setItem(storageKey(owner), JSON.stringify(secrets));
+  return secrets;
+};
+
+// 刪除一筆密鑰 (訂單沒有成立)，回傳更新後的全部密鑰
+export const forgetRideSecret = (owner, publicKey) => {
+  const { [publicKey]: _removed, ...secrets } = loadRideSecrets(owner);
+  localStorage.setItem(storageKey(owner), JSON.stringify(secrets));
+  return secrets;
+};
+
+/**
+ * 乘客發單前：產生此訂單的臨時金鑰，回傳要寫上鏈的約略位置 (上車點附帶公鑰)
+ * 與要保存在本機的 secret。pickup/dropoff 為 { name, lat, lng }
+ * 此時尚未寫入本機：交易送出後才以 saveRideSecret(owner, publicKey, secret) 保存。
+ */
+export const sealRideLocations = (pickup, dropoff) => {
+  const signingKey = new ethers.SigningKey(ethers.randomBytes(32));
+  const publicKey = signingKey.compressedPublicKey;
+  return {
+    pickup: { ...toCoarseLocation(pickup), key: publicKey },
+    dropoff: toCoarseLocation(dropoff),
+    publicKey,
+    secret: { privateKey: signingKey.privateKey, pickup, dropoff }
+  };
+};
+
+// 以本機保存的精確位置取代訂單上的約略位置；取不到的訂單維持 isCoarse
+export const revealRide = (ride, secrets) => {
+  const secret = ride.privacyKey && secrets[ride.privacyKey];
+  if (!secret) return ride;
+  return {
+    ...ride,
+    pickup: secret.pickup.name,
+    dropoff: secret.dropoff.name,
+    pickupCoords: { lat: secret.pickup.lat, lng: secret.pickup.lng },
+    dropoffCoords: { lat: secret.dropoff.lat, lng: secret.dropoff.lng },
+    isCoarse: false
+  };
+};
@@ -0,0 +1,201 @@
+import { getEventLog } from './EventLog';
+import { escapeHtml } from './html';
+
+/**
+ * 行程收據與歷史匯出 (CSV / JSON / 可列印 HTML)
+ * 交易雜湊來自訂單的鏈上事件 (共用的 EventLog)，收集所有目標訂單的事件
+ * (DriverRated / PassengerRated 不帶 rideId，無法對應到訂單，因此不列入)。
+ */
+
+// 帶有 rideId (第一個參數) 的事件，依生命週期排序
+const RIDE_EVENT_LABELS = {
+  RideRequested: '叫車 (託管車資)',
+  RideAccepted: '接單',
+  RideStarted: '開始行程',
+  RideCompleted: '完成 (撥款)',
+  RideCancelled: '取消 (退款)'
+};
+
+const STATUS_LABELS = {
+  Created: '等待接單',
+  Accepted: '司機前往中',
+  Ongoing: '行程中',
+  Completed: '已完成',
+  Cancelled: '已取消'
+};
+
+// 收據上的時間欄位 (依生命週期排序)，沒有發生的事件不顯示
+export const RECORD_TIME_LABELS = [
+  ['requestedAt', '叫車時間'],
+  ['acceptedAt', '接單時間'],
+  ['startedAt', '開始時間'],
+  ['completedAt', '完成時間'],
+  ['cancelledAt', '取消時間']
+];
+
+// 事件查詢沒有涵蓋行程的開頭 (找不到 RideRequested) 時顯示在收據上
+export const INCOMPLETE_EVENTS_NOTE = '事件查詢範圍沒有涵蓋這趟行程 (未設定合約部署區塊 VITE_DEPLOY_BLOCK 時只回溯最近的區塊，或查詢失敗)，交易與接單、開始、完成時間可能不完整';
+
+// 收據上的新台幣金額：鏈上沒有當時的匯率，以匯出時的匯率估算
+export const formatFareNtd = (record) => `約 NT$${record.fareNtdEstimate.toLocaleString()} (以 1 ETH = NT$${record.ntdRate.toLocaleString()} 估算)`;
+
+/**
+ * 查詢訂單相關的交易，回傳 Map<rideId, [{ event, label, transactionHash, blockNumber, timestamp }]>
+ * 事件來自共用的 EventLog (與評價、收益共用同一次查詢)，先補查到最新區塊。
+ * timestamp 為區塊時間 (秒)，無法取得時為 null；onProgress(0~1) 回報查詢進度
+ */
+export const collectRideTransactions = async (backend, rideIds, { onProgress } = {}) => {
+  const wanted = new Set(rideIds.map(Number));
+  const transactions = new Map([...wanted].map(id => [id, []]));
+  if (wanted.size === 0) return transactions;
+
+  const log = getEventLog(backend);
+  try {
+    await log.start({ onProgress });
+  } finally {
+    log.stop();
+  }
+  onProgress?.(1);
+
+  for (const event of log.getEvents()) {
+    if (!RIDE_EVENT_LABELS[event.name] || !wanted.has(Number(event.args[0]))) continue;
+    transactions.get(Number(event.args[0])).push({
+      event: event.name,
+      label: RIDE_EVENT_LABELS[event.name],
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      timestamp: await log.blockTime(event.blockNumber)
+    });
+  }
+  return transactions;
+};
+
+const toIsoTime = (seconds) => (seconds > 0 ? new Date(seconds * 1000).toISOString() : '');
+
+// 該事件所在區塊的時間 (ISO 字串)，沒有此事件時為空字串
+const eventTime = (transactions, event) => toIsoTime(transactions.find(tx => tx.event === event)?.timestamp);
+
+/**
+ * 一筆行程的收據資料 (address 為目前連線的地址，用來判斷角色與對方)
+ * 鏈上沒有當時的匯率，fareNtdEstimate 以 rate (匯出時的匯率) 換算，ntdRate 記錄所用的匯率
+ * 每趟行程都以 RideRequested 開始，查不到時 eventsComplete 為 false (行程早於查詢範圍)
+ */
+export const buildRideRecord = (ride, address, transactions = [], rate) => {
+  const isPassenger = ride.passenger.toLowerCase() === address.toLowerCase();
+  const fareEth = ride.amount;
+  return {
+    rideId: ride.id,
+    requestedAt: toIsoTime(ride.timestamp),
+    acceptedAt: eventTime(transactions, 'RideAccepted'),
+    startedAt: eventTime(transactions, 'RideStarted'),
+    completedAt: eventTime(transactions, 'RideCompleted'),
+    cancelledAt: eventTime(transactions, 'RideCancelled'),
+    role: isPassenger ? 'passenger' : 'driver',
+    counterpart: (isPassenger ? ride.driver : ride.passenger) || '',
+    pickup: ride.pickup,
+    dropoff: ride.dropoff,
+    tier: ride.tier || '',
+    fareEth,
+    fareNtdEstimate: Math.floor(parseFloat(fareEth) * rate),
+    ntdRate: Math.round(rate),
+    status: ride.status,
+    eventsComplete: transactions.some(tx => tx.event === 'RideRequested'),
+    transactions
+  };
+};
+
+// --- 匯出格式 ---
+
+const CSV_COLUMNS = [
+  'rideId', 'requestedAt', 'acceptedAt', 'startedAt', 'completedAt', 'cancelledAt', 'role', 'counterpart',
+  'pickup', 'dropoff', 'tier', 'fareEth', 'fareNtdEstimate', 'ntdRate', 'status', 'eventsComplete', 'transactions'
+];
+
+// 地點名稱由任何人寫入鏈上：以 = + - @ 或 tab/CR 開頭的儲存格會被試算表當成公式執行，前面加上 ' 讓它保持文字
+const csvCell = (value) => {
+  const raw = String(value ?? '');
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 交易欄位格式為「事件:雜湊」，多筆以空白分隔；加上 BOM 讓 Excel 正確辨識中文
+export const toCsv = (records) => '\uFEFF' + [
+  CSV_COLUMNS.join(','),
+  ...records.map(record => CSV_COLUMNS.map(column => csvCell(
+    column === 'transactions'
+      ? record.transactions.map(tx => `${tx.event}:${tx.transactionHash}`).join(' ')
+      : record[column]
+  )).join(','))
+].join('\r\n');
+
+export const toJson = (records, meta = {}) => JSON.stringify({ ...meta, exportedAt: new Date().toISOString(), rides: records }, null, 2);
+
+/**
+ * 可列印的 HTML 收據 (每筆行程一頁)
+ * meta: { address, network }
+ */
+export const toReceiptHtml = (records, { address, network }) => {
+  const pages = records.map(record => `
+  <section class="receipt">
+    <h1>NTUber 行程收據</h1>
+    <p class="muted">行程 #${record.rideId} · ${escapeHtml(network)}</p>
+    <table>
+      ${RECORD_TIME_LABELS.filter(([key]) => record[key]).map(([key, label]) => `<tr><th>${label}</th><td>${escapeHtml(new Date(record[key]).toLocaleString())}</td></tr>`).join('')}
+      <tr><th>狀態</th><td>${escapeHtml(STATUS_LABELS[record.status] || record.status)}</td></tr>
+      <tr><th>上車地點</th><td>${escapeHtml(record.pickup)}</td></tr>
+      <tr><th>目的地</th><td>${escapeHtml(record.dropoff)}</td></tr>
+      <tr><th>車資</th><td>${escapeHtml(record.fareEth)} ETH<br/><span class="muted">${escapeHtml(formatFareNtd(record))}</span></td></tr>
+      <tr><th>身分</th><td>${record.role === 'passenger' ? '乘客' : '司機'} <span class="mono">${escapeHtml(address)}</span></td></tr>
+      <tr><th>${record.role === 'passenger' ? '司機' : '乘客'}</th><td class="mono">${escapeHtml(record.counterpart) || '—'}</td></tr>
+    </table>
+    <h2>鏈上交易</h2>
+    ${record.eventsComplete ? '' : `<p class="warning">${INCOMPLETE_EVENTS_NOTE}</p>`}
+    ${record.transactions.length === 0 ? '<p class="muted">查無相關交易</p>' : `<table>
+      ${record.transactions.map(tx => `<tr><th>${escapeHtml(tx.label)}</th><td class="mono">${escapeHtml(tx.transactionHash)}<br/><span class="muted">區塊 ${tx.blockNumber}</span></td></tr>`).join('')}
+    </table>`}
+  </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+<meta charset="utf-8" />
+<title>NTUber 行程收據</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; margin: 0; }
+  .receipt { max-width: 640px; margin: 32px auto; padding: 24px; border: 1px solid #ddd; border-radius: 12px; page-break-after: always; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 20px 0 8px; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th { text-align: left; color: #666; font-weight: normal; width: 30%; padding: 6px 0; vertical-align: top; }
+  td { padding: 6px 0; border-bottom: 1px solid #f0f0f0; word-break: break-all; }
+  .mono { font-family: ui-monospace, monospace; font-size: 12px; }
+  .muted { color: #888; font-size: 12px; margin: 0; }
+  .warning { color: #b45309; font-size: 12px; margin: 0 0 8px; }
+  @media print { .receipt { border: none; margin: 0 auto; } }
+</style>
+</head>
+<body>${pages}
+</body>
+</html>`;
+};
+
+// --- 瀏覽器輸出 ---
+
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// 在 (已開啟的) 視窗寫入收據並叫出列印對話框；
+// 視窗須在使用者點擊時同步開啟，否則會被瀏覽器的彈出視窗封鎖擋下
+export const printReceipts = (win, html) => {
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+};
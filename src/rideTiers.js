@@ -0,0 +1,57 @@
+import { Bike, Scooter, Car, Accessibility } from 'lucide-react';
+import { DEFAULT_FARE_CURVE } from './pricing';
+
+/**
+ * 車種目錄
+ * 每個車種有自己的費率曲線 (見 src/pricing.js)、載客數、圖示與地圖標記文字，
+ * 以及計價與路線所用的交通方式 routing ('bike' | 'car'，見 src/routing)。
+ * 車種會寫入叫車請求 (上車點 JSON 的 tier 欄位)，司機可選擇自己服務的車種。
+ */
+
+export const DEFAULT_TIER = 'bike';
+
+export const RIDE_TIERS = [
+  {
+    id: 'bike',
+    name: 'NTUber Bike',
+    description: '環保出行',
+    capacity: 1,
+    icon: Bike,
+    marker: 'BIKE',
+    routing: 'bike',
+    fareCurve: DEFAULT_FARE_CURVE
+  },
+  {
+    id: 'scooter',
+    name: 'NTUber Scooter',
+    description: '機車快速到達',
+    capacity: 1,
+    icon: Scooter,
+    marker: 'MOTO',
+    routing: 'car',
+    fareCurve: { steps: [[1000, 35]], base: 45, per100m: 6, includedMinutes: 5, perMinute: 1 }
+  },
+  {
+    id: 'car',
+    name: 'NTUber Car',
+    description: '舒適轎車，可載行李',
+    capacity: 4,
+    icon: Car,
+    marker: 'CAR',
+    routing: 'car',
+    fareCurve: { steps: [[1000, 70]], base: 85, per100m: 10, includedMinutes: 3, perMinute: 3 }
+  },
+  {
+    id: 'accessible',
+    name: 'NTUber Access',
+    description: '無障礙車輛，可載輪椅',
+    capacity: 2,
+    icon: Accessibility,
+    marker: 'ACCESS',
+    routing: 'car',
+    fareCurve: { steps: [[1000, 70]], base: 80, per100m: 10, includedMinutes: 5, perMinute: 2 }
+  }
+];
+
+// 舊訂單或未知車種一律視為 Bike
+export const getRideTier = (id) => RIDE_TIERS.find(t => t.id === id) || RIDE_TIERS[0];
@@ -0,0 +1,90 @@
+import { getDistanceMeters, polylineLength } from '../geo';
+import { RoutingProvider } from './RoutingProvider';
+import { NTU_ROAD_NODES, NTU_ROAD_EDGES } from './ntuRoadGraph';
+
+/**
+ * GraphRoutingProvider - 以內建路網 (預設為台大周邊) 做 Dijkstra 最短路徑
+ * 起訖點先吸附到最近的節點；距離路網太遠則視為超出範圍並丟出錯誤。
+ */
+export class GraphRoutingProvider extends RoutingProvider {
+  constructor({ nodes = NTU_ROAD_NODES, edges = NTU_ROAD_EDGES, speed = 4, maxSnapDistance = 600 } = {}) {
+    super();
+    this.nodes = nodes;
+    this.speed = speed; // m/s (腳踏車約 15 km/h)
+    this.maxSnapDistance = maxSnapDistance;
+    this.adjacency = this.buildAdjacency(edges);
+  }
+
+  get name() {
+    return 'graph';
+  }
+
+  buildAdjacency(edges) {
+    const adjacency = Object.fromEntries(Object.keys(this.nodes).map(id => [id, []]));
+    edges.forEach(({ from, to, oneway }) => {
+      const [lat1, lng1] = this.nodes[from];
+      const [lat2, lng2] = this.nodes[to];
+      const weight = getDistanceMeters(lat1, lng1, lat2, lng2);
+      adjacency[from].push({ to, weight });
+      if (!oneway) adjacency[to].push({ to: from, weight });
+    });
+    return adjacency;
+  }
+
+  nearestNode({ lat, lng }) {
+    let best = null;
+    Object.entries(this.nodes).forEach(([id, [nLat, nLng]]) => {
+      const distance = getDistanceMeters(lat, lng, nLat, nLng);
+      if (!best || distance < best.distance) best = { id, distance };
+    });
+    return best;
+  }
+
+  // 節點數很少，用陣列掃描取代優先佇列即可
+  shortestPath(start, goal) {
+    const dist = { [start]: 0 };
+    const prev = {};
+    const visited = new Set();
+
+    while (true) {
+      let current = null;
+      Object.keys(dist).forEach(id => {
+        if (!visited.has(id) && (current === null || dist[id] < dist[current])) current = id;
+      });
+      if (current === null) return null;
+      if (current === goal) break;
+      visited.add(current);
+
+      this.adjacency[current].forEach(({ to, weight }) => {
+        const candidate = dist[current] + weight;
+        if (dist[to] === undefined || candidate < dist[to]) {
+          dist[to] = candidate;
+          prev[to] = current;
+        }
+      });
+    }
+
+    const path = [goal];
+    while (path[0] !== start) path.unshift(prev[path[0]]);
+    return path;
+  }
+
+  async route(from, to) {
+    const start = this.nearestNode(from);
+    const goal = this.nearestNode(to);
+    if (start.distance > this.maxSnapDistance || goal.distance > this.maxSnapDistance) {
+      throw new Error('起訖點超出內建路網範圍');
+    }
+
+    const path = this.shortestPath(start.id, goal.id);
+    if (!path) throw new Error('內建路網中找不到可行路徑');
+
+    const geometry = [
+      [from.lat, from.lng],
+      ...path.map(id => this.nodes[id]),
+      [to.lat, to.lng]
+    ];
+    const distance = polylineLength(geometry);
+    return { distance, duration: distance / this.speed, geometry, source: this.name };
+  }
+}
@@ -0,0 +1,37 @@
+import { RoutingProvider } from './RoutingProvider';
+
+/**
+ * OsrmRoutingProvider - OSRM 相容的 HTTP 路徑規劃
+ * 可指向公開伺服器或本地容器 (例如 docker 跑的 osrm-backend，預設 http://localhost:5000)。
+ */
+export class OsrmRoutingProvider extends RoutingProvider {
+  constructor({ baseUrl, profile = 'driving', timeout = 5000 }) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.profile = profile;
+    this.timeout = timeout;
+  }
+
+  get name() {
+    return 'osrm';
+  }
+
+  async route(from, to) {
+    // OSRM 座標順序為 lng,lat
+    const coords = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+    const url = `${this.baseUrl}/route/v1/${this.profile}/${coords}?overview=full&geometries=geojson`;
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+    if (!response.ok) throw new Error(`OSRM HTTP ${response.status}`);
+    const data = await response.json();
+    if (data.code !== 'Ok' || !data.routes?.length) throw new Error(`OSRM 無路徑: ${data.code}`);
+
+    const [best] = data.routes;
+    return {
+      distance: best.distance,
+      duration: best.duration,
+      geometry: best.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+      source: this.name
+    };
+  }
+}
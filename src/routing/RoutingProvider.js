@@ -0,0 +1,78 @@
+import { distanceBetween } from '../geo';
+
+/**
+ * RoutingProvider - 路徑規劃的共同介面
+ * route(from, to) 接受兩個 { lat, lng }，回傳：
+ *   { distance: 公尺, duration: 秒, geometry: [[lat, lng], ...], source: 提供者名稱 }
+ * 無法規劃時丟出錯誤，由 FallbackRoutingProvider 改用下一個提供者。
+ */
+export class RoutingProvider {
+  get name() {
+    return this.constructor.name;
+  }
+
+  // (from, to)
+  async route() {
+    throw new Error(`${this.constructor.name}.route 尚未實作`);
+  }
+}
+
+// 最後防線：直線距離 (與舊版 Haversine 計價相同)，以固定速度估算時間
+export class StraightLineRoutingProvider extends RoutingProvider {
+  constructor({ speed = 4 } = {}) {
+    super();
+    this.speed = speed; // m/s
+  }
+
+  get name() {
+    return 'straight';
+  }
+
+  async route(from, to) {
+    const distance = distanceBetween(from, to);
+    return {
+      distance,
+      duration: distance / this.speed,
+      geometry: [[from.lat, from.lng], [to.lat, to.lng]],
+      source: this.name
+    };
+  }
+}
+
+// 依序嘗試多個提供者，並快取結果 (同一組起訖點在地圖重繪時會反覆查詢)
+export class FallbackRoutingProvider extends RoutingProvider {
+  constructor(providers, { cacheSize = 50 } = {}) {
+    super();
+    this.providers = providers;
+    this.cacheSize = cacheSize;
+    this.cache = new Map();
+  }
+
+  get name() {
+    return this.providers.map(p => p.name).join(' → ');
+  }
+
+  async route(from, to) {
+    const key = [from.lat, from.lng, to.lat, to.lng].map(v => v.toFixed(5)).join(',');
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const promise = this.resolve(from, to);
+    this.cache.set(key, promise);
+    if (this.cache.size > this.cacheSize) this.cache.delete(this.cache.keys().next().value);
+    promise.catch(() => this.cache.delete(key));
+    return promise;
+  }
+
+  async resolve(from, to) {
+    let lastError = null;
+    for (const provider of this.providers) {
+      try {
+        return await provider.route(from, to);
+      } catch (err) {
+        console.warn(`路徑規劃 (${provider.name}) 失敗，改用下一個提供者:`, err.message);
+        lastError = err;
+      }
+    }
+    throw lastError || new Error('沒有可用的路徑規劃提供者');
+  }
+}
@@ -0,0 +1,24 @@
+import { OSRM_URLS, OSRM_PROFILE } from '../config';
+import { OsrmRoutingProvider } from './OsrmRoutingProvider';
+import { GraphRoutingProvider } from './GraphRoutingProvider';
+import { FallbackRoutingProvider, StraightLineRoutingProvider } from './RoutingProvider';
+
+export { useRoute } from './useRoute';
+
+// 各交通方式 (車種的 routing 欄位) 的 OSRM 伺服器，以及離線估算時間用的速度 (m/s)
+const ROUTING_MODES = {
+  bike: { osrmUrl: OSRM_URLS.bike, speed: 4 }, // 腳踏車約 15 km/h
+  car: { osrmUrl: OSRM_URLS.car, speed: 7 } // 校園周邊市區車速約 25 km/h
+};
+
+// OSRM (若有設定) → 內建台大路網 → 直線距離
+export const createRoutingProvider = ({ osrmUrl = OSRM_URLS.bike, osrmProfile = OSRM_PROFILE, speed = 4 } = {}) => {
+  const providers = [];
+  if (osrmUrl) providers.push(new OsrmRoutingProvider({ baseUrl: osrmUrl, profile: osrmProfile }));
+  providers.push(new GraphRoutingProvider({ speed }), new StraightLineRoutingProvider({ speed }));
+  return new FallbackRoutingProvider(providers);
+};
+
+export const routingProviders = Object.fromEntries(
+  Object.entries(ROUTING_MODES).map(([mode, options]) => [mode, createRoutingProvider(options)])
+);
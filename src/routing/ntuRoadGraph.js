@@ -0,0 +1,85 @@
+/**
+ * 台大校園周邊簡易路網 (離線路徑規劃用)
+ * 節點為路口或校內主要地標，座標為 [lat, lng]；
+ * 邊預設雙向，oneway: true 表示只能由 from 走向 to。
+ * 只涵蓋羅斯福路、新生南路、辛亥路、基隆路、舟山路圍出的範圍，超出範圍交由其他提供者處理。
+ */
+
+export const NTU_ROAD_NODES = {
+  // 羅斯福路 (西側)
+  taipower: [25.0209, 121.5284], // 台電大樓站
+  rooseveltXinsheng: [25.0192, 121.5313],
+  mainGate: [25.0173, 121.5337], // 台大正門
+  gongguan: [25.0146, 121.5343], // 公館站
+  shuiyuan: [25.0127, 121.5352], // 水源市場
+
+  // 新生南路 / 辛亥路 (北側)
+  xinshengNorth: [25.0262, 121.5335],
+  xinshengMid: [25.0233, 121.5336],
+  xinshengXinhai: [25.0206, 121.5338],
+  xinhaiNewLife: [25.0209, 121.5368],
+  xinhaiLake: [25.0212, 121.5405],
+  xinhaiKeelung: [25.0216, 121.5445],
+
+  // 基隆路 (東側)
+  keelungNorth: [25.0192, 121.5447],
+  keelungZhoushan: [25.0164, 121.5440],
+  keelungSouth: [25.0138, 121.5431],
+
+  // 椰林大道與校內道路
+  fuBell: [25.0173, 121.5360], // 傅鐘
+  palmMid: [25.0174, 121.5385],
+  library: [25.0174, 121.5405], // 總圖
+  newLife: [25.0192, 121.5362], // 新生教學館
+  drunkMoonLake: [25.0194, 121.5405], // 醉月湖
+  eastGate: [25.0177, 121.5430],
+
+  // 舟山路 (南側)
+  zhoushanWest: [25.0150, 121.5360],
+  zhoushanMid: [25.0158, 121.5385],
+  zhoushanEast: [25.0162, 121.5410]
+};
+
+export const NTU_ROAD_EDGES = [
+  // 羅斯福路
+  { from: 'taipower', to: 'rooseveltXinsheng' },
+  { from: 'rooseveltXinsheng', to: 'mainGate' },
+  { from: 'mainGate', to: 'gongguan' },
+  { from: 'gongguan', to: 'shuiyuan' },
+
+  // 新生南路
+  { from: 'xinshengNorth', to: 'xinshengMid' },
+  { from: 'xinshengMid', to: 'xinshengXinhai' },
+  { from: 'xinshengXinhai', to: 'rooseveltXinsheng' },
+
+  // 辛亥路
+  { from: 'xinshengXinhai', to: 'xinhaiNewLife' },
+  { from: 'xinhaiNewLife', to: 'xinhaiLake' },
+  { from: 'xinhaiLake', to: 'xinhaiKeelung' },
+
+  // 基隆路
+  { from: 'xinhaiKeelung', to: 'keelungNorth' },
+  { from: 'keelungNorth', to: 'keelungZhoushan' },
+  { from: 'keelungZhoushan', to: 'keelungSouth' },
+
+  // 椰林大道
+  { from: 'mainGate', to: 'fuBell' },
+  { from: 'fuBell', to: 'palmMid' },
+  { from: 'palmMid', to: 'library' },
+  { from: 'library', to: 'eastGate' },
+  { from: 'eastGate', to: 'keelungNorth' },
+
+  // 校內南北向道路
+  { from: 'fuBell', to: 'newLife' },
+  { from: 'newLife', to: 'xinhaiNewLife' },
+  { from: 'library', to: 'drunkMoonLake' },
+  { from: 'drunkMoonLake', to: 'xinhaiLake' },
+  { from: 'library', to: 'zhoushanEast' },
+  { from: 'palmMid', to: 'zhoushanMid', oneway: true }, // 校內單行道 (往南)
+
+  // 舟山路
+  { from: 'gongguan', to: 'zhoushanWest' },
+  { from: 'zhoushanWest', to: 'zhoushanMid' },
+  { from: 'zhoushanMid', to: 'zhoushanEast' },
+  { from: 'zhoushanEast', to: 'keelungZhoushan' }
+];
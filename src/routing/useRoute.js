@@ -0,0 +1,23 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * 取得兩點之間的路徑；起訖點任一為空或尚在查詢時回傳 null。
+ * 以座標數值組成的 key 作為依賴，避免父元件每次重繪產生新物件就重新查詢。
+ */
+export const useRoute = (provider, from, to) => {
+  const [result, setResult] = useState({ key: null, route: null });
+  const complete = from && to;
+  const key = complete ? [from.lat, from.lng, to.lat, to.lng].join(',') : null;
+
+  useEffect(() => {
+    if (!key) return;
+    let cancelled = false;
+    const [fromLat, fromLng, toLat, toLng] = key.split(',').map(Number);
+    provider.route({ lat: fromLat, lng: fromLng }, { lat: toLat, lng: toLng })
+      .then(route => { if (!cancelled) setResult({ key, route }); })
+      .catch(err => console.error("路徑規劃失敗:", err));
+    return () => { cancelled = true; };
+  }, [provider, key]);
+
+  return key && result.key === key ? result.route : null;
+};
@@ -0,0 +1,25 @@
+import { WalletConnector } from './WalletConnector';
+
+/**
+ * InjectedConnector - 瀏覽器擴充錢包 (MetaMask、Rabby、Coinbase Wallet 等)
+ * provider 來自 EIP-6963 的 announceProvider 事件，或舊式的 window.ethereum。
+ */
+export class InjectedConnector extends WalletConnector {
+  constructor(info, provider) {
+    super({ id: info.rdns || info.uuid, name: info.name, icon: info.icon, rdns: info.rdns });
+    this.provider = provider;
+  }
+
+  getProvider() {
+    return this.provider;
+  }
+
+  // 注入式錢包沒有真正的「中斷」：撤銷本網站的帳號權限 (不支援的錢包只能由使用者在錢包中移除)
+  async disconnect() {
+    try {
+      await this.provider.request({ method: 'wallet_revokePermissions', params: [{ eth_accounts: {} }] });
+    } catch (err) {
+      console.warn(`${this.name} 不支援撤銷權限:`, err);
+    }
+  }
+}
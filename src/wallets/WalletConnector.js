@@ -0,0 +1,37 @@
+/**
+ * WalletConnector - 錢包連接器介面 (與 WalletConnect / wagmi 的 connector 相同的分工)
+ *   id, name, icon, rdns                        顯示在錢包選單的資訊 (icon 為 data URI，可為 null)
+ *   getProvider()                               EIP-1193 provider (request / on / removeListener)
+ *   connect()                                   要求授權，回傳帳號陣列
+ *   disconnect()                                中斷連線
+ *   onEvents({ accountsChanged, chainChanged, disconnect })   訂閱錢包事件，回傳取消訂閱函數
+ * 瀏覽器擴充錢包以 EIP-6963 探索 (見 discovery.js)；WalletConnect 等遠端錢包只要實作同一介面，
+ * 並透過 discoverWallets 的 extraConnectors 加入選單即可。
+ */
+export class WalletConnector {
+  constructor({ id, name, icon = null, rdns = null }) {
+    this.id = id;
+    this.name = name;
+    this.icon = icon;
+    this.rdns = rdns;
+  }
+
+  getProvider() {
+    throw new Error(`${this.constructor.name}.getProvider 尚未實作`);
+  }
+
+  async connect() {
+    return this.getProvider().request({ method: 'eth_requestAccounts' });
+  }
+
+  async disconnect() {}
+
+  onEvents(handlers) {
+    const provider = this.getProvider();
+    const entries = Object.entries(handlers).filter(([, handler]) => handler);
+    entries.forEach(([event, handler]) => provider.on(event, handler));
+    return () => {
+      entries.forEach(([event, handler]) => provider.removeListener?.(event, handler));
+    };
+  }
+}
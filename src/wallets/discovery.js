@@ -0,0 +1,48 @@
+import { InjectedConnector } from './InjectedConnector';
+
+/**
+ * 錢包探索 (EIP-6963)
+ * 發出 eip6963:requestProvider 後，每個安裝的錢包各自以 eip6963:announceProvider 回報，
+ * 不會像 window.ethereum 一樣互相覆蓋。等待 DISCOVERY_TIMEOUT 後視為探索完成；
+ * 若沒有任何錢包支援 EIP-6963，改用舊式的 window.ethereum。
+ */
+
+export const DISCOVERY_TIMEOUT = 400; // ms
+
+const LEGACY_INFO = { uuid: 'injected', rdns: 'injected', name: '瀏覽器錢包', icon: null };
+
+/**
+ * onChange(connectors, { settled }) 在錢包清單變動與探索完成時呼叫；
+ * extraConnectors 為其他 WalletConnector (例如 WalletConnect)，固定列在最後。回傳停止探索的函數
+ */
+export const discoverWallets = (onChange, { extraConnectors = [] } = {}) => {
+  const connectors = new Map(); // id -> InjectedConnector
+  let settled = false;
+  const emit = () => onChange([...connectors.values(), ...extraConnectors], { settled });
+
+  const handleAnnounce = (event) => {
+    const { info, provider } = event.detail || {};
+    if (!info?.uuid || !provider) return;
+    const connector = new InjectedConnector(info, provider);
+    // 同一錢包重複回報時保留第一次的 provider (已訂閱的事件掛在它上面)
+    if (connectors.has(connector.id)) return;
+    connectors.set(connector.id, connector);
+    emit();
+  };
+
+  window.addEventListener('eip6963:announceProvider', handleAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  const timer = setTimeout(() => {
+    if (connectors.size === 0 && window.ethereum) {
+      connectors.set(LEGACY_INFO.rdns, new InjectedConnector(LEGACY_INFO, window.ethereum));
+    }
+    settled = true;
+    emit();
+  }, DISCOVERY_TIMEOUT);
+
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener('eip6963:announceProvider', handleAnnounce);
+  };
+};
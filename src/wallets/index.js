@@ -0,0 +1,10 @@
+export { WalletConnector } from './WalletConnector';
+export { InjectedConnector } from './InjectedConnector';
+export { discoverWallets, DISCOVERY_TIMEOUT } from './discovery';
+
+// 使用者上次選擇的錢包 (connector id)；空字串表示使用者主動中斷連線，重新整理後不自動連線
+const WALLET_STORAGE_KEY = 'ntuber_wallet';
+
+export const loadWalletChoice = () => localStorage.getItem(WALLET_STORAGE_KEY);
+
+export const saveWalletChoice = (id) => localStorage.setItem(WALLET_STORAGE_KEY, id);